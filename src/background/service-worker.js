@@ -1,35 +1,194 @@
 import {
-  INACTIVITY_TIMEOUT_MS,
   PERSIST_INTERVAL_MINUTES,
   MESSAGE_TYPES,
-  ALARMS
+  ALARMS,
+  CATEGORY_NAMES,
+  STORAGE_KEYS,
+  ENFORCEMENT_MODES,
+  BLOCK_PAGE_PATH,
+  FOCUS_PHASES,
+  PERIOD_ALIGNMENTS,
+  DEFAULT_ALIGNMENT,
+  INCOGNITO_TRACKING,
+  PRODUCTIVITY_RATINGS,
+  CATEGORY_RATINGS
 } from '../shared/constants.js';
 import {
   extractDomain,
+  getTrackingKey,
+  getKeyDomain,
+  getPathRuleUrlRegex,
+  getPeriodResetTime,
+  getWeekStart,
+  getScheduleWindowEnd,
+  isWithinSchedule,
+  isValidSchedule,
+  isValidSetting,
+  getScheduledDuration,
+  normalizeTrackingKey,
+  normalizeDomainData,
+  isExcludedHost,
   shouldTrackUrl,
-  getTodayKey
+  getTodayKey,
+  getDayStart,
+  formatDateKey,
+  aggregateCategories,
+  computeFocusScore,
+  formatDuration,
+  isWarningThresholdReached
 } from '../shared/utils.js';
 import {
-  getDailyData,
-  saveDailyData,
+  getDaysData,
+  getDateKeysInRange,
+  getMonthlyRange,
+  recordSessions,
+  getSessions,
   getLimits,
   setLimit as storageSetLimit,
   removeLimit as storageRemoveLimit,
   cleanupOldData,
-  getTimeRange,
-  aggregateDomains
+  aggregateDomains,
+  getCategories,
+  setCategory as storageSetCategory,
+  removeCategory as storageRemoveCategory,
+  getRatings,
+  setRating as storageSetRating,
+  removeRating as storageRemoveRating,
+  getPathRules,
+  setPathRule as storageSetPathRule,
+  removePathRule as storageRemovePathRule,
+  getSettings,
+  updateSettings,
+  getFocusState,
+  saveFocusState,
+  getFocusLog,
+  appendFocusLog,
+  getSnoozes,
+  addSnooze,
+  getLimitGroups,
+  setLimitGroup,
+  removeLimitGroup,
+  markWarningsFired,
+  getTrackingState,
+  saveTrackingState,
+  getIncognitoData,
+  getIncognitoSessions,
+  recordIncognitoSessions,
+  clearIncognitoData
 } from '../shared/storage.js';
+import {
+  buildCsvExport,
+  buildBackup,
+  validateBackup,
+  previewBackup,
+  restoreBackup
+} from '../shared/backup.js';
 
 // In-memory state
 const state = {
-  activeTabId: null,
-  activeDomain: null,
-  sessionStartTime: null,
-  lastActivityTime: null,
-  isTracking: false,
-  pendingTime: {} // { domain: milliseconds }
+  windows: {}, // { windowId: session }, see getWindowSession()
+  idleState: 'active', // chrome.idle state: 'active', 'idle' or 'locked'
+  pendingSessions: [] // [{ start, end, domain, tabId, media }]
+};
+
+// Tail of the persist queue; persists read and rewrite the same daily
+// records, so they run one at a time
+let persistQueue = Promise.resolve();
+
+// Saved daily and media totals, normalized. Saved days only change when
+// sessions are recorded, so between persists stats are served from memory.
+const statsCache = {
+  generation: 0, // Bumped on every invalidation, to drop reads that raced one
+  days: {}, // { dateKey: { data, media } }
+  totals: {}, // { 'startKey:todayKey': { domain: milliseconds } }
+  scheduled: {}, // { 'startKey:todayKey:schedule': { domain: milliseconds } }, inside schedule windows
+  incognito: null // { data, sessions } from the private bucket
+};
+
+// Session rule letting private tabs through when limits aren't enforced there
+const INCOGNITO_ALLOW_RULE_ID = 1;
+
+// User configuration mirrored from storage
+const config = {
+  pathRules: [],
+  settings: {},
+  focus: null
 };
 
+async function loadConfig() {
+  config.pathRules = await getPathRules();
+  config.settings = await getSettings();
+  config.focus = await getFocusState();
+  applyIdleDetectionInterval();
+  await syncIncognitoAllowRule();
+}
+
+const configReady = loadConfig();
+
+// Recover the tracking state journaled before the worker was last stopped
+const stateReady = restoreTrackingState();
+
+/**
+ * Time without activity before a session ends, from the options page
+ */
+function getInactivityTimeout() {
+  return config.settings.inactivityTimeoutSeconds * 1000;
+}
+
+// Keep configuration in sync with storage
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes[STORAGE_KEYS.PATH_RULES]) {
+    config.pathRules = changes[STORAGE_KEYS.PATH_RULES].newValue || [];
+  }
+  // Saved totals changed (import, cleanup) or so did how domains are grouped
+  const statsChanged = Object.keys(changes).some(key => {
+    return [STORAGE_KEYS.DAILY_PREFIX, STORAGE_KEYS.MEDIA_PREFIX, STORAGE_KEYS.MONTHLY_PREFIX]
+      .some(prefix => key.startsWith(prefix));
+  });
+  if (statsChanged || changes[STORAGE_KEYS.META]) {
+    invalidateStatsCache();
+  }
+
+  if (changes[STORAGE_KEYS.META]) {
+    getSettings().then(settings => {
+      config.settings = settings;
+      applyIdleDetectionInterval();
+      return Promise.all([dropUntrackedSessions(), syncIncognitoAllowRule()]);
+    });
+  }
+  if (changes[STORAGE_KEYS.FOCUS]) {
+    config.focus = changes[STORAGE_KEYS.FOCUS].newValue || null;
+  }
+});
+
+/**
+ * Check if time on a URL may be tracked
+ * Excluded sites never are, nor are private windows unless the incognito
+ * policy allows it.
+ */
+function isTrackable(url, incognito) {
+  if (incognito && config.settings.incognitoTracking === INCOGNITO_TRACKING.IGNORE) return false;
+  return shouldTrackUrl(url, config.settings.excludedSites);
+}
+
+/**
+ * Check if a session's time is kept apart from the saved history
+ */
+function isPrivateSession(session) {
+  return Boolean(session.incognito) && config.settings.incognitoTracking !== INCOGNITO_TRACKING.NORMAL;
+}
+
+/**
+ * Resolve the tracking key for a URL, falling back to a reported domain
+ * Sessions are recorded under this raw key so per-host detail survives;
+ * it is only grouped by normalizeTrackingKey when read.
+ */
+function resolveTrackingKey(url, domain) {
+  return url ? getTrackingKey(url, config.pathRules) : domain;
+}
+
 // Initialize extension
 chrome.runtime.onInstalled.addListener(initialize);
 chrome.runtime.onStartup.addListener(initialize);
@@ -53,36 +212,58 @@ async function initialize() {
     periodInMinutes: 1
   });
 
-  // Initialize with current active tab
-  await initializeActiveTab();
+  // Initialize with the active tab of each window
+  await initializeActiveTabs();
+
+  // Catch up on a focus timer that ran out while the browser was closed
+  await configReady;
+  await advanceFocus();
+
+  // Restore hard-block rules for limits that are still exceeded
+  await syncBlockRules();
 
   console.log('[TimeTracker] Initialized');
 }
 
-// Initialize active tab state - runs on every service worker wake
-async function initializeActiveTab() {
+// Initialize the active tab of every window - runs on every service worker wake
+async function initializeActiveTabs() {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab && tab.id) {
-      console.log('[TimeTracker] Setting initial active tab:', tab.id, extractDomain(tab.url));
-      await handleTabChange(tab.id);
+    const tabs = await chrome.tabs.query({ active: true, windowType: 'normal' });
+    for (const tab of tabs) {
+      if (tab.id) {
+        console.log('[TimeTracker] Setting initial active tab:', tab.id, 'in window', tab.windowId, extractDomain(tab.url));
+        await handleTabChange(tab.id);
+      }
     }
   } catch (e) {
-    console.error('[TimeTracker] Error initializing active tab:', e);
+    console.error('[TimeTracker] Error initializing active tabs:', e);
   }
 }
 
 // Also initialize when service worker wakes up (module loads)
-initializeActiveTab();
+initializeActiveTabs();
+
+// Pick up a screen lock or idle period that began while the worker was asleep
+configReady
+  .then(() => chrome.idle.queryState(Math.max(15, config.settings.idleDetectionSeconds)))
+  .then(idleState => { state.idleState = idleState; })
+  .catch(e => console.error('[TimeTracker] Error querying idle state:', e));
 
 // Handle alarms
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await stateReady;
+
   if (alarm.name === ALARMS.PERSIST_DATA) {
     await persistPendingTime();
+    await syncBlockRules();
   } else if (alarm.name === ALARMS.CLEANUP_DATA) {
-    await cleanupOldData();
+    await cleanupOldData(config.settings.dailyRetentionDays);
+    invalidateStatsCache();
   } else if (alarm.name === ALARMS.INACTIVITY_CHECK) {
     checkInactivityTimeout();
+    await journalTrackingState();
+  } else if (alarm.name === ALARMS.FOCUS_TIMER) {
+    await advanceFocus();
   }
 });
 
@@ -91,18 +272,28 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   await handleTabChange(activeInfo.tabId);
 });
 
-// Handle tab URL changes
+// New private tabs need the allow rule before they navigate anywhere
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (tab.incognito) {
+    await configReady;
+    await syncIncognitoAllowRule();
+  }
+});
+
+// Handle tab URL changes, including in-page navigations that don't reload
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tabId === state.activeTabId) {
+  if ((changeInfo.status === 'complete' || changeInfo.url) && tabId === state.windows[tab.windowId]?.tabId) {
     await handleTabChange(tabId);
   }
 });
 
 // Handle window focus changes
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await stateReady;
+
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    // Browser lost focus - pause tracking
-    await finalizeCurrentSession();
+    // Browser lost focus - pause tracking in every window
+    await finalizeAllSessions();
   } else {
     // Browser gained focus - check active tab
     try {
@@ -116,6 +307,51 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
   }
 });
 
+// Handle window close
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await stateReady;
+
+  const session = state.windows[windowId];
+  if (session) {
+    await finalizeSession(session);
+    delete state.windows[windowId];
+  }
+
+  // Private browsing time only lasts as long as the private windows do
+  const windows = await chrome.windows.getAll();
+  if (!windows.some(window => window.incognito)) {
+    state.pendingSessions = state.pendingSessions.filter(pending => !isPrivateSession(pending));
+    await clearIncognitoData();
+    invalidateStatsCache();
+  }
+
+  await journalTrackingState();
+});
+
+// Handle system idle and screen lock
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  console.log('[TimeTracker] Idle state changed:', newState);
+  state.idleState = newState;
+  await stateReady;
+
+  if (newState === 'locked') {
+    await pauseTracking(true);
+  } else if (newState === 'idle') {
+    // Playing media keeps a session going without input
+    await pauseTracking(false);
+  } else {
+    // Back from idle - start over from the active tabs
+    for (const session of Object.values(state.windows)) {
+      session.lastInputTime = null;
+    }
+    await initializeActiveTabs();
+  }
+});
+
+function applyIdleDetectionInterval() {
+  chrome.idle.setDetectionInterval(Math.max(15, config.settings.idleDetectionSeconds));
+}
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('[TimeTracker] Received message:', message.type, 'from tab:', sender.tab?.id);
@@ -135,12 +371,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * Handle incoming messages
  */
 async function handleMessage(message, sender) {
+  await configReady;
+  await stateReady;
+
   switch (message.type) {
     case MESSAGE_TYPES.ACTIVITY_DETECTED:
-      return await handleActivityDetected(sender.tab?.id, message.domain);
+      // Untracked sites and windows still get their status, but never accrue time
+      if (!isTrackable(message.url, sender.tab?.incognito)) {
+        return await getDomainStatus(resolveTrackingKey(message.url, message.domain), sender.tab?.incognito);
+      }
+      return await handleActivityDetected(
+        sender.tab,
+        resolveTrackingKey(message.url, message.domain),
+        Boolean(message.media)
+      );
 
     case MESSAGE_TYPES.GET_DOMAIN_STATUS:
-      return await getDomainStatus(message.domain);
+      // Content scripts are sent from their tab; the popup passes its tab's state along
+      return await getDomainStatus(
+        resolveTrackingKey(message.url, message.domain),
+        sender.tab ? sender.tab.incognito : Boolean(message.incognito)
+      );
 
     case MESSAGE_TYPES.GET_TODAY_STATS:
       return await getTodayStats();
@@ -148,47 +399,218 @@ async function handleMessage(message, sender) {
     case MESSAGE_TYPES.GET_STATS:
       return await getStats(message.days || 30);
 
+    case MESSAGE_TYPES.GET_SESSIONS:
+      return await getSessionTimeline(message.startDate, message.endDate, message.domain);
+
     case MESSAGE_TYPES.SET_LIMIT:
-      await storageSetLimit(message.domain, message.limit, message.period || 'day');
+      if (message.schedule && !isValidSchedule(message.schedule)) {
+        throw new Error('Invalid limit schedule');
+      }
+      await storageSetLimit(message.domain, message.limit, message.period || 'day', {
+        schedule: message.schedule,
+        enforcement: message.enforcement,
+        alignment: message.alignment
+      });
+      await syncBlockRules();
       return { success: true };
 
     case MESSAGE_TYPES.REMOVE_LIMIT:
       await storageRemoveLimit(message.domain);
+      await syncBlockRules();
       return { success: true };
 
     case MESSAGE_TYPES.GET_LIMITS:
       return await getLimits();
 
+    case MESSAGE_TYPES.GET_LIMIT_GROUPS:
+      return await getLimitGroupStatuses();
+
+    case MESSAGE_TYPES.SET_LIMIT_GROUP: {
+      const group = message.group || {};
+      if (!group.name || !Array.isArray(group.domains) || group.domains.length === 0) {
+        throw new Error('Limit group needs a name and at least one site');
+      }
+      if (!Number.isFinite(group.limit) || group.limit <= 0) {
+        throw new Error('Limit group needs a time limit');
+      }
+      if (group.schedule && !isValidSchedule(group.schedule)) {
+        throw new Error('Invalid limit schedule');
+      }
+      const saved = await setLimitGroup(group);
+      await syncBlockRules();
+      return { success: true, group: saved };
+    }
+
+    case MESSAGE_TYPES.REMOVE_LIMIT_GROUP:
+      await removeLimitGroup(message.id);
+      await syncBlockRules();
+      return { success: true };
+
+    case MESSAGE_TYPES.GET_CATEGORIES:
+      return {
+        categories: await getCategories(),
+        names: CATEGORY_NAMES
+      };
+
+    case MESSAGE_TYPES.SET_CATEGORY:
+      await storageSetCategory(message.domain, message.category);
+      return { success: true };
+
+    case MESSAGE_TYPES.REMOVE_CATEGORY:
+      await storageRemoveCategory(message.domain);
+      return { success: true };
+
+    case MESSAGE_TYPES.GET_RATINGS:
+      return {
+        ratings: await getRatings(),
+        defaults: CATEGORY_RATINGS,
+        names: Object.values(PRODUCTIVITY_RATINGS)
+      };
+
+    case MESSAGE_TYPES.SET_RATING:
+      if (!Object.values(PRODUCTIVITY_RATINGS).includes(message.rating)) {
+        throw new Error(`Unknown rating: ${message.rating}`);
+      }
+      await storageSetRating(message.domain, message.rating);
+      return { success: true };
+
+    case MESSAGE_TYPES.REMOVE_RATING:
+      await storageRemoveRating(message.domain);
+      return { success: true };
+
+    case MESSAGE_TYPES.GET_PATH_RULES:
+      return await getPathRules();
+
+    case MESSAGE_TYPES.SET_PATH_RULE: {
+      const { rule } = message;
+      if (!rule?.domain || !rule?.pattern || !rule?.name) {
+        throw new Error('Path rule needs a domain, pattern and name');
+      }
+      const saved = await storageSetPathRule(rule);
+      // Sub-sites are blocked by their own rules; don't wait for storage.onChanged
+      config.pathRules = await getPathRules();
+      await syncBlockRules();
+      return { success: true, rule: saved };
+    }
+
+    case MESSAGE_TYPES.REMOVE_PATH_RULE:
+      await storageRemovePathRule(message.id);
+      config.pathRules = await getPathRules();
+      await syncBlockRules();
+      return { success: true };
+
+    case MESSAGE_TYPES.GET_SETTINGS:
+      return config.settings;
+
+    case MESSAGE_TYPES.UPDATE_SETTINGS: {
+      const invalid = Object.entries(message.settings || {}).find(([key, value]) => !isValidSetting(key, value));
+      if (invalid) {
+        throw new Error(`Invalid setting: ${invalid[0]}`);
+      }
+      config.settings = await updateSettings(message.settings || {});
+      if (message.settings?.dailyRetentionDays !== undefined) {
+        // Roll up days that just fell out of retention rather than waiting a day
+        await cleanupOldData(config.settings.dailyRetentionDays);
+        invalidateStatsCache();
+      }
+      await syncBlockRules();
+      return { success: true, settings: config.settings };
+    }
+
+    case MESSAGE_TYPES.EXPORT_DATA:
+      return await exportData(message.format, message.startDate, message.endDate);
+
+    case MESSAGE_TYPES.PREVIEW_IMPORT: {
+      const errors = validateBackup(message.backup);
+      if (errors.length > 0) {
+        return { valid: false, errors };
+      }
+      return { valid: true, errors, preview: await previewBackup(message.backup) };
+    }
+
+    case MESSAGE_TYPES.IMPORT_BACKUP:
+      return await importBackup(message.backup, message.strategy);
+
+    case MESSAGE_TYPES.GET_FOCUS:
+      return {
+        focus: config.focus,
+        breakMinutes: config.settings.focusBreakMinutes,
+        blockList: config.settings.focusBlockList
+      };
+
+    case MESSAGE_TYPES.START_FOCUS:
+      return await startFocus(message.minutes, message.rounds, message.breakMinutes);
+
+    case MESSAGE_TYPES.STOP_FOCUS:
+      return await stopFocus();
+
+    case MESSAGE_TYPES.GET_FOCUS_LOG:
+      return await getFocusLog();
+
+    case MESSAGE_TYPES.SNOOZE_LIMIT:
+      return await snoozeLimit(message.domain, sender.tab?.incognito);
+
+    case MESSAGE_TYPES.GET_SNOOZES:
+      return await getSnoozes();
+
     default:
       console.warn('[TimeTracker] Unknown message type:', message.type);
       return { error: 'Unknown message type' };
   }
 }
 
+/**
+ * Get the tracking session for a browser window, creating it if needed
+ * Every window follows its own active tab, but only one window accrues
+ * time at once - see claimWallClock().
+ */
+function getWindowSession(windowId) {
+  if (!state.windows[windowId]) {
+    state.windows[windowId] = {
+      tabId: null,
+      domain: null,
+      sessionStartTime: null,
+      lastActivityTime: null,
+      lastInputTime: null, // Last activity from user input rather than media playback
+      sessionMedia: false, // Session is kept alive by media playback alone
+      incognito: false, // Private window, see INCOGNITO_TRACKING
+      isTracking: false
+    };
+  }
+  return state.windows[windowId];
+}
+
+/**
+ * Get the sessions currently accruing time
+ */
+function getOpenSessions() {
+  return Object.values(state.windows).filter(session => {
+    return session.isTracking && session.domain && session.sessionStartTime;
+  });
+}
+
 /**
  * Handle tab change
  */
 async function handleTabChange(tabId) {
-  // Finalize any current session
-  await finalizeCurrentSession();
+  await configReady;
+  await stateReady;
 
   try {
     const tab = await chrome.tabs.get(tabId);
+    const session = getWindowSession(tab.windowId);
 
-    if (!shouldTrackUrl(tab.url)) {
-      state.activeTabId = tabId;
-      state.activeDomain = null;
-      return;
-    }
-
-    const domain = extractDomain(tab.url);
+    // Finalize the window's current session
+    await finalizeSession(session);
 
-    state.activeTabId = tabId;
-    state.activeDomain = domain;
-    state.sessionStartTime = null;
-    state.lastActivityTime = null;
-    state.isTracking = false;
+    session.tabId = tabId;
+    session.incognito = Boolean(tab.incognito);
+    session.domain = isTrackable(tab.url, tab.incognito) ? resolveTrackingKey(tab.url) : null;
+    session.sessionStartTime = null;
+    session.lastActivityTime = null;
+    session.isTracking = false;
 
+    await journalTrackingState();
   } catch (e) {
     console.error('[TimeTracker] Error handling tab change:', e);
   }
@@ -197,311 +619,1330 @@ async function handleTabChange(tabId) {
 /**
  * Handle activity detected from content script
  */
-async function handleActivityDetected(tabId, domain) {
-  // If we don't have an active tab set, or if this is from a different tab,
-  // check if this tab is actually the active one and update our state
-  if (state.activeTabId === null || tabId !== state.activeTabId) {
-    try {
-      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (activeTab && activeTab.id === tabId) {
-        // This tab IS the active tab, update our state
-        console.log('[TimeTracker] Updating active tab from activity:', tabId, domain);
-        state.activeTabId = tabId;
-        state.activeDomain = domain;
-      } else {
-        // Activity from non-active tab, just return status
-        return await getDomainStatus(domain);
-      }
-    } catch (e) {
-      console.error('[TimeTracker] Error checking active tab:', e);
-      return await getDomainStatus(domain);
-    }
+async function handleActivityDetected(tab, domain, media = false) {
+  // Nothing counts while the screen is locked, even media still playing
+  if (state.idleState === 'locked') {
+    return await getDomainStatus(domain, tab?.incognito);
+  }
+
+  // Only the active tab of a window is tracked; activity from background
+  // tabs just gets its status
+  if (!tab?.active) {
+    return await getDomainStatus(domain, tab?.incognito);
+  }
+
+  const session = getWindowSession(tab.windowId);
+  session.incognito = Boolean(tab.incognito);
+
+  // Missed the tab change (e.g. service worker was asleep) - catch up
+  if (session.tabId !== tab.id) {
+    console.log('[TimeTracker] Updating active tab from activity:', tab.id, 'in window', tab.windowId, domain);
+    await finalizeSession(session);
+    session.tabId = tab.id;
+    session.domain = domain;
   }
 
   // Domain mismatch (URL changed?) - update domain
-  if (domain !== state.activeDomain) {
-    await finalizeCurrentSession();
-    state.activeDomain = domain;
-    state.isTracking = false;
+  if (domain !== session.domain) {
+    await finalizeSession(session);
+    session.domain = domain;
+    session.isTracking = false;
   }
 
   const now = Date.now();
 
   // KEY FIX: Check if we were inactive for too long
   // If so, save the previous session and start a new one
-  if (state.isTracking && state.lastActivityTime) {
-    const timeSinceLastActivity = now - state.lastActivityTime;
-    if (timeSinceLastActivity >= INACTIVITY_TIMEOUT_MS) {
+  if (session.isTracking && session.lastActivityTime) {
+    const timeSinceLastActivity = now - session.lastActivityTime;
+    if (timeSinceLastActivity >= getInactivityTimeout()) {
       // We were inactive - save time up to last activity
-      const activeTime = state.lastActivityTime - state.sessionStartTime;
-      if (activeTime > 0 && state.activeDomain) {
-        console.log('[TimeTracker] Saving interrupted session:', activeTime, 'ms for', state.activeDomain);
-        addPendingTime(state.activeDomain, activeTime);
-        // Persist immediately to avoid data loss
-        await persistPendingTime();
+      const activeTime = session.lastActivityTime - session.sessionStartTime;
+      if (activeTime > 0 && session.domain) {
+        console.log('[TimeTracker] Saving interrupted session:', activeTime, 'ms for', session.domain);
+        addPendingSession(session, session.sessionStartTime, session.lastActivityTime);
       }
-      // Start fresh session from now
-      state.sessionStartTime = now;
+      // Start fresh session from now, before persisting so the idle gap
+      // isn't counted as part of the new session
+      session.sessionStartTime = now;
+      // Persist immediately to avoid data loss
+      await persistPendingTime();
     }
   }
 
-  if (!state.isTracking) {
+  // Media playback without recent input is passive time; split the session
+  // whenever it switches between active and passive
+  if (!media) {
+    session.lastInputTime = now;
+  }
+  const passive = media && (!session.lastInputTime || now - session.lastInputTime >= getInactivityTimeout());
+
+  // Another window already owns this moment
+  if (!claimWallClock(session, passive, now)) {
+    return await getDomainStatus(domain, tab.incognito);
+  }
+
+  if (session.isTracking && passive !== session.sessionMedia) {
+    addPendingSession(session, session.sessionStartTime, now);
+    session.sessionStartTime = now;
+  }
+  session.sessionMedia = passive;
+
+  if (!session.isTracking) {
     // Start new tracking session
-    state.isTracking = true;
-    state.sessionStartTime = now;
-    console.log('[TimeTracker] Started tracking:', domain);
+    session.isTracking = true;
+    session.sessionStartTime = now;
+    console.log('[TimeTracker] Started tracking:', domain, 'in window', tab.windowId);
   }
 
-  state.lastActivityTime = now;
+  session.lastActivityTime = now;
+  await journalTrackingState();
 
   // Persist every 30 seconds of active tracking to minimize data loss
   if (state.lastPersistTime === undefined || now - state.lastPersistTime > 30000) {
     state.lastPersistTime = now;
-    // Don't await - do it in background
+    // Don't await - it runs in the background, queued behind any persist in progress
     persistPendingTime().catch(e => console.error('[TimeTracker] Persist error:', e));
   }
 
-  return await getDomainStatus(domain);
+  const status = await getDomainStatus(domain, tab.incognito);
+
+  const warning = await checkLimitWarnings(status);
+  if (warning) {
+    status.warning = warning;
+  }
+
+  // Hard-blocked sites are redirected rather than overlaid
+  const limitBlocked = [status, status.group].some(limit => {
+    return limit?.limitExceeded && limit.enforcement === ENFORCEMENT_MODES.BLOCK;
+  });
+  const focusBlocked = status.focusBlocked && status.focusEnforcement === ENFORCEMENT_MODES.BLOCK;
+  if (limitBlocked || focusBlocked) {
+    await syncBlockRules();
+  }
+
+  return status;
+}
+
+/**
+ * Decide whether a window's activity may accrue time right now
+ * Wall-clock time goes to one window at a time so side-by-side windows
+ * aren't double counted:
+ * - user input takes over from whichever window was tracking
+ * - passive media playback only tracks while no other window has
+ *   recent activity
+ * Sessions that lose out are ended at the handover.
+ */
+function claimWallClock(session, passive, now) {
+  const others = Object.values(state.windows).filter(other => other !== session && other.isTracking);
+  const isRecent = other => now - other.lastActivityTime < getInactivityTimeout();
+
+  if (passive && others.some(isRecent)) {
+    return false;
+  }
+
+  for (const other of others) {
+    endSession(other, isRecent(other) ? now : other.lastActivityTime);
+  }
+  return true;
 }
 
 /**
  * Check for inactivity timeout
  */
 function checkInactivityTimeout() {
-  if (!state.isTracking || !state.lastActivityTime) return;
-
   const now = Date.now();
-  const timeSinceActivity = now - state.lastActivityTime;
 
-  if (timeSinceActivity >= INACTIVITY_TIMEOUT_MS) {
-    // Save accumulated time up to last activity
-    const activeTime = state.lastActivityTime - state.sessionStartTime;
+  for (const session of Object.values(state.windows)) {
+    if (!session.isTracking || !session.lastActivityTime) continue;
 
-    if (activeTime > 0 && state.activeDomain) {
-      addPendingTime(state.activeDomain, activeTime);
+    const timeSinceActivity = now - session.lastActivityTime;
+    if (timeSinceActivity >= getInactivityTimeout()) {
+      // Save accumulated time up to last activity
+      endSession(session, session.lastActivityTime);
     }
+  }
+}
 
-    // Reset tracking
-    state.isTracking = false;
-    state.sessionStartTime = null;
-    state.lastActivityTime = null;
+/**
+ * Stop tracking at the last activity, for system idle or screen lock
+ * Time between the last activity and the idle event isn't counted.
+ * Sessions kept alive by media playback keep going unless includeMedia is set.
+ */
+async function pauseTracking(includeMedia) {
+  for (const session of Object.values(state.windows)) {
+    if (session.sessionMedia && !includeMedia) continue;
+    endSession(session, session.lastActivityTime);
   }
+
+  await persistPendingTime();
 }
 
 /**
- * Finalize current tracking session
+ * Finalize a window's tracking session
  */
-async function finalizeCurrentSession() {
-  if (!state.isTracking || !state.sessionStartTime || !state.activeDomain) {
+async function finalizeSession(session) {
+  if (!session.isTracking || !session.sessionStartTime || !session.domain) {
     return;
   }
 
+  // Close the session before persisting so it isn't counted twice
+  endSession(session, getSessionEnd(session, Date.now()));
+
+  // Persist immediately to avoid data loss on service worker termination
+  await persistPendingTime();
+}
+
+/**
+ * Finalize the tracking sessions of all windows
+ */
+async function finalizeAllSessions() {
   const now = Date.now();
-  let elapsed;
-
-  if (state.lastActivityTime) {
-    // Use last activity time, capped at inactivity timeout
-    const timeSinceActivity = now - state.lastActivityTime;
-    if (timeSinceActivity >= INACTIVITY_TIMEOUT_MS) {
-      elapsed = state.lastActivityTime - state.sessionStartTime;
-    } else {
-      elapsed = now - state.sessionStartTime;
-    }
-  } else {
-    elapsed = now - state.sessionStartTime;
+  for (const session of getOpenSessions()) {
+    endSession(session, getSessionEnd(session, now));
   }
 
-  if (elapsed > 0) {
-    addPendingTime(state.activeDomain, elapsed);
-    // Persist immediately to avoid data loss on service worker termination
-    await persistPendingTime();
+  await persistPendingTime();
+}
+
+/**
+ * Use last activity time as the end of a session once it has timed out
+ */
+function getSessionEnd(session, now) {
+  if (session.lastActivityTime && now - session.lastActivityTime >= getInactivityTimeout()) {
+    return session.lastActivityTime;
+  }
+  return now;
+}
+
+/**
+ * Close a session, adding its time up to `end` to the pending buffer
+ */
+function endSession(session, end) {
+  if (session.isTracking && session.sessionStartTime && session.domain) {
+    addPendingSession(session, session.sessionStartTime, end);
   }
 
-  state.isTracking = false;
-  state.sessionStartTime = null;
-  state.lastActivityTime = null;
+  session.isTracking = false;
+  session.sessionStartTime = null;
+  session.lastActivityTime = null;
 }
 
 /**
- * Add time to pending buffer
+ * Add a finished stretch of a session to the pending buffer
  */
-function addPendingTime(domain, milliseconds) {
-  if (!domain || milliseconds <= 0) return;
-  state.pendingTime[domain] = (state.pendingTime[domain] || 0) + milliseconds;
+function addPendingSession(session, start, end) {
+  const { domain, tabId, sessionMedia: media, incognito } = session;
+  if (!domain || !start || end <= start) return;
+  state.pendingSessions.push({ start, end, domain, tabId, media, incognito });
 }
 
 /**
- * Persist pending time to storage
+ * Get pending and open sessions, with open ones cut at the current time
+ * Private window sessions are kept apart from the rest (see isPrivateSession).
+ * @param {boolean} privateOnly - Get only the private sessions instead
  */
-async function persistPendingTime() {
-  // First finalize any active session to get current time
-  const wasTracking = state.isTracking;
-  const savedDomain = state.activeDomain;
+function getUnsavedSessions(privateOnly = false) {
+  const now = Date.now();
+  const sessions = [
+    ...state.pendingSessions,
+    ...getOpenSessions().map(session => ({
+      start: session.sessionStartTime,
+      end: now,
+      domain: session.domain,
+      tabId: session.tabId,
+      media: session.sessionMedia,
+      incognito: session.incognito,
+      active: true
+    }))
+  ];
+  return sessions.filter(session => isPrivateSession(session) === privateOnly);
+}
 
-  if (wasTracking && state.sessionStartTime && state.activeDomain) {
-    const now = Date.now();
-    const elapsed = now - state.sessionStartTime;
-    if (elapsed > 0) {
-      addPendingTime(state.activeDomain, elapsed);
+/**
+ * Sum time not yet saved to storage, per tracking key, from `since` onwards
+ * Covers pending and open sessions. Sessions that started earlier only
+ * count from `since`, so time before midnight stays with the previous day.
+ * @param {number} since - Start of the range in ms
+ * @param {boolean} mediaOnly - Only count passive media playback
+ * @param {boolean} privateOnly - Count private window time instead
+ */
+function getUnsavedTime(since, mediaOnly = false, privateOnly = false) {
+  const totals = {};
+  for (const session of getUnsavedSessions(privateOnly)) {
+    if (mediaOnly && !session.media) continue;
+    const duration = session.end - Math.max(session.start, since);
+    if (duration > 0) {
+      const key = normalizeTrackingKey(session.domain, config.settings);
+      totals[key] = (totals[key] || 0) + duration;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Forget time that is no longer to be tracked
+ * Open and pending sessions on newly excluded sites, or in private windows
+ * once incognito tracking is off, are dropped before they are ever saved.
+ */
+async function dropUntrackedSessions() {
+  await stateReady;
+
+  const isUntracked = session => {
+    if (session.incognito && config.settings.incognitoTracking === INCOGNITO_TRACKING.IGNORE) return true;
+    return isExcludedHost(getKeyDomain(session.domain), config.settings.excludedSites);
+  };
+
+  for (const session of Object.values(state.windows)) {
+    if (session.domain && isUntracked(session)) {
+      session.domain = null;
+      session.sessionStartTime = null;
+      session.lastActivityTime = null;
+      session.isTracking = false;
     }
-    // Reset session start to now (don't lose track)
-    state.sessionStartTime = now;
   }
+  state.pendingSessions = state.pendingSessions.filter(session => !isUntracked(session));
+
+  await journalTrackingState();
+}
 
-  // Save all pending time
-  if (Object.keys(state.pendingTime).length === 0) return;
+/**
+ * Persist pending time to storage
+ * Queued behind any persist already running, so callers that don't await
+ * it can't overlap another one.
+ */
+function persistPendingTime() {
+  const persist = persistQueue.then(writePendingTime);
+  persistQueue = persist.catch(() => {});
+  return persist;
+}
 
-  const todayKey = getTodayKey();
-  const todayData = await getDailyData(todayKey);
+/**
+ * Write pending sessions to storage
+ * Sessions stay pending, and journaled, until their write has succeeded, so
+ * a failed write or a worker stop mid-write doesn't lose them.
+ */
+async function writePendingTime() {
+  // First cut open sessions at the current time
+  const now = Date.now();
+  for (const session of getOpenSessions()) {
+    addPendingSession(session, session.sessionStartTime, now);
+    // Reset session start to now (don't lose track)
+    session.sessionStartTime = now;
+  }
 
-  for (const [domain, time] of Object.entries(state.pendingTime)) {
-    todayData[domain] = (todayData[domain] || 0) + time;
+  // Save all pending sessions; daily totals are rolled up from them
+  if (state.pendingSessions.length === 0) {
+    await journalTrackingState();
+    return;
   }
 
-  await saveDailyData(todayKey, todayData);
+  const sessions = [...state.pendingSessions];
+
+  await recordSessions(sessions.filter(session => !isPrivateSession(session)), config.settings.dayStartHour);
+  if (config.settings.incognitoTracking === INCOGNITO_TRACKING.SEPARATE) {
+    await recordIncognitoSessions(
+      sessions.filter(isPrivateSession),
+      config.settings.dayStartHour,
+      getLongestPeriodStart().getTime()
+    );
+  }
 
-  // Clear pending
-  state.pendingTime = {};
+  // Sessions added while writing stay pending for the next persist
+  state.pendingSessions = state.pendingSessions.filter(session => !sessions.includes(session));
+  invalidateStatsCache();
+  await journalTrackingState();
 
   console.log('[TimeTracker] Persisted time data');
 }
 
 /**
- * Get time for a domain over a specific period
+ * Journal open sessions and pending time to session storage
+ * MV3 stops the worker whenever it likes; the journal lets the next
+ * instance pick up where this one left off.
  */
-async function getTimeForPeriod(domain, period) {
-  const now = new Date();
+async function journalTrackingState() {
+  await stateReady;
+  await saveTrackingState({
+    windows: state.windows,
+    pendingSessions: state.pendingSessions
+  });
+}
+
+/**
+ * Reconcile the journaled tracking state when the worker starts
+ * Pending time is carried over as is. Open sessions whose last activity is
+ * older than the inactivity timeout are closed at that activity, the same
+ * as a live session timing out, so a restart neither loses nor invents time.
+ */
+async function restoreTrackingState() {
+  try {
+    const saved = await getTrackingState();
+    if (!saved) return;
+
+    // The inactivity timeout is a setting
+    await configReady;
+
+    const now = Date.now();
+
+    // Events handled while restoring may already have added windows and
+    // pending time; keep those and merge the journal in
+    for (const [windowId, session] of Object.entries(saved.windows || {})) {
+      if (state.windows[windowId]) continue;
+      state.windows[windowId] = session;
+      if (session.isTracking && (!session.lastActivityTime || now - session.lastActivityTime >= getInactivityTimeout())) {
+        endSession(session, session.lastActivityTime);
+      }
+    }
+
+    state.pendingSessions.unshift(...(saved.pendingSessions || []));
+
+    console.log('[TimeTracker] Restored tracking state:', Object.keys(state.windows).length, 'windows,',
+      state.pendingSessions.length, 'pending sessions');
+  } catch (e) {
+    console.error('[TimeTracker] Error restoring tracking state:', e);
+  }
+}
+
+/**
+ * Get the start of a limit period
+ * Calendar periods start on the configured week start day or the 1st of
+ * the month; rolling periods cover the last 7 or 30 days.
+ */
+function getPeriodStartDate(period, alignment = DEFAULT_ALIGNMENT) {
+  const { dayStartHour } = config.settings;
+  const today = getDayStart(Date.now(), dayStartHour);
   let startDate;
 
   if (period === 'day') {
-    startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    startDate = today;
+  } else if (alignment === PERIOD_ALIGNMENTS.CALENDAR && period === 'week') {
+    startDate = getWeekStart(today, config.settings.weekStartDay);
+    startDate.setHours(dayStartHour);
+  } else if (alignment === PERIOD_ALIGNMENTS.CALENDAR && period === 'month') {
+    startDate = new Date(today.getFullYear(), today.getMonth(), 1, dayStartHour);
   } else if (period === 'week') {
-    startDate = new Date(now);
+    startDate = new Date(today);
     startDate.setDate(startDate.getDate() - 6);
-    startDate.setHours(0, 0, 0, 0);
   } else if (period === 'month') {
-    startDate = new Date(now);
+    startDate = new Date(today);
     startDate.setDate(startDate.getDate() - 29);
-    startDate.setHours(0, 0, 0, 0);
   } else {
-    startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    startDate = today;
   }
 
-  const rangeData = await getTimeRange(startDate, now);
-  const aggregated = aggregateDomains(Object.values(rangeData));
+  return startDate;
+}
+
+/**
+ * Get the earliest start of any limit period: a rolling or calendar month
+ */
+function getLongestPeriodStart() {
+  const rolling = getPeriodStartDate('month', PERIOD_ALIGNMENTS.ROLLING);
+  const calendar = getPeriodStartDate('month', PERIOD_ALIGNMENTS.CALENDAR);
+  return rolling < calendar ? rolling : calendar;
+}
+
+/**
+ * Get time over a specific period for the tracking keys a limit covers
+ * With a schedule, only time inside the schedule windows counts.
+ * @param {Function} matchesKey - Predicate selecting the tracking keys to sum
+ */
+async function getTimeForPeriod(matchesKey, period, alignment, schedule = null) {
+  const now = new Date();
+  const startDate = getPeriodStartDate(period, alignment);
+
+  if (schedule?.length > 0) {
+    return await getScheduledTimeForPeriod(matchesKey, startDate, now, schedule);
+  }
 
-  let totalTime = aggregated[domain] || 0;
+  let totalTime = sumMatchingTime(await getSavedTotals(startDate), matchesKey);
 
-  // Add pending time
-  totalTime += state.pendingTime[domain] || 0;
+  // Add pending and current session time within the period
+  totalTime += sumMatchingTime(getUnsavedTime(startDate.getTime()), matchesKey);
 
-  // Add current session time if tracking this domain
-  if (state.isTracking && state.activeDomain === domain && state.sessionStartTime) {
-    totalTime += Date.now() - state.sessionStartTime;
+  // Private windows can't be used to get around an enforced limit
+  if (countsPrivateTime()) {
+    const { data } = await getSavedIncognito();
+    const startKey = formatDateKey(startDate);
+    for (const [dateKey, dayData] of Object.entries(data)) {
+      if (dateKey >= startKey) totalTime += sumMatchingTime(dayData, matchesKey);
+    }
+    totalTime += sumMatchingTime(getUnsavedTime(startDate.getTime(), false, true), matchesKey);
   }
 
   return totalTime;
 }
 
 /**
- * Get domain status (time used, limit, exceeded)
+ * Whether separately tracked private time counts toward limits
+ * Only while limits are enforced in private windows; otherwise it stays apart.
  */
-async function getDomainStatus(domain) {
-  if (!domain) {
-    return { hasLimit: false, limitExceeded: false };
-  }
-
-  const limits = await getLimits();
-  const limitConfig = limits[domain];
+function countsPrivateTime() {
+  return config.settings.incognitoTracking === INCOGNITO_TRACKING.SEPARATE &&
+    config.settings.enforceLimitsInIncognito;
+}
 
-  // Get today's time for display
-  const todayKey = getTodayKey();
-  const todayData = await getDailyData(todayKey);
-  let todayTime = todayData[domain] || 0;
-  todayTime += state.pendingTime[domain] || 0;
-  if (state.isTracking && state.activeDomain === domain && state.sessionStartTime) {
-    todayTime += Date.now() - state.sessionStartTime;
+/**
+ * Get the private bucket's per-day totals, normalized, and session log
+ * @returns {Promise<Object>} - { data, sessions }, not to be modified
+ */
+async function getSavedIncognito() {
+  if (statsCache.incognito) return statsCache.incognito;
+
+  const generation = statsCache.generation;
+  const [data, sessions] = await Promise.all([getIncognitoData(), getIncognitoSessions()]);
+  const saved = { data: {}, sessions };
+  for (const [dateKey, day] of Object.entries(data)) {
+    saved.data[dateKey] = normalizeDomainData(day, config.settings);
   }
-
-  if (!limitConfig) {
-    return {
-      hasLimit: false,
-      limitExceeded: false,
-      totalTime: todayTime,
-      domain
-    };
+  if (generation === statsCache.generation) {
+    statsCache.incognito = saved;
   }
+  return saved;
+}
 
-  // Get time for the limit's period
-  const periodTime = await getTimeForPeriod(domain, limitConfig.period);
-  const limitExceeded = periodTime > limitConfig.limit;
+function sumMatchingTime(data, matchesKey) {
+  return Object.entries(data)
+    .filter(([key]) => matchesKey(key))
+    .reduce((sum, [, time]) => sum + time, 0);
+}
 
-  return {
-    hasLimit: true,
+/**
+ * Get saved daily and media totals for some days
+ * Cached days are served from memory; the rest are read in one batch.
+ * @param {Array<string>} dateKeys - Date keys (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Object mapping date keys to { data, media }, not to be modified
+ */
+async function getSavedDays(dateKeys) {
+  const generation = statsCache.generation;
+  const cached = statsCache.days;
+  const missing = dateKeys.filter(dateKey => !cached[dateKey]);
+  const read = {};
+
+  if (missing.length > 0) {
+    for (const [dateKey, day] of Object.entries(await getDaysData(missing))) {
+      read[dateKey] = {
+        data: normalizeDomainData(day.data, config.settings),
+        media: normalizeDomainData(day.media, config.settings)
+      };
+    }
+
+    // Don't cache what was read before a persist landed
+    if (generation === statsCache.generation) {
+      Object.assign(statsCache.days, read);
+    }
+  }
+
+  return dateKeys.reduce((acc, dateKey) => {
+    acc[dateKey] = cached[dateKey] || read[dateKey];
+    return acc;
+  }, {});
+}
+
+/**
+ * Get saved time per tracking key from the start of a period through today
+ * Totals are kept per period start until the next persist, so activity
+ * pings don't re-sum the whole range.
+ * @param {Date} startDate - Start of the period
+ * @returns {Promise<Object>} - Object mapping keys to time in ms, not to be modified
+ */
+async function getSavedTotals(startDate) {
+  const todayKey = getTodayKey(config.settings.dayStartHour);
+  const cacheKey = `${formatDateKey(startDate)}:${todayKey}`;
+
+  if (!statsCache.totals[cacheKey]) {
+    const generation = statsCache.generation;
+    const days = await getSavedDays(getDateKeysInRange(startDate, todayKey));
+    const rollups = await getMonthlyRange(startDate, todayKey);
+    const totals = aggregateDomains([
+      ...Object.values(days).map(day => day.data),
+      ...Object.values(rollups).map(rollup => normalizeDomainData(rollup.data, config.settings))
+    ]);
+    if (generation !== statsCache.generation) {
+      return totals;
+    }
+    statsCache.totals[cacheKey] = totals;
+  }
+
+  return statsCache.totals[cacheKey];
+}
+
+/**
+ * Drop cached stats, after new sessions are saved or settings change
+ */
+function invalidateStatsCache() {
+  statsCache.generation++;
+  statsCache.days = {};
+  statsCache.totals = {};
+  statsCache.scheduled = {};
+  statsCache.incognito = null;
+}
+
+/**
+ * Sum the parts of matching sessions that fall inside schedule windows
+ * Needs session timestamps, so it reads the session log rather than daily totals.
+ */
+async function getScheduledTimeForPeriod(matchesKey, startDate, endDate, schedule) {
+  const rangeStart = startDate.getTime();
+  const unsaved = getUnsavedSessions();
+  if (countsPrivateTime()) {
+    unsaved.push(...getUnsavedSessions(true));
+  }
+
+  const totals = { ...await getSavedScheduledTotals(startDate, endDate, schedule) };
+  addScheduledTime(totals, unsaved, rangeStart, schedule);
+
+  return sumMatchingTime(totals, matchesKey);
+}
+
+/**
+ * Get saved time inside schedule windows per tracking key for a period
+ * Cached alongside the saved totals, so activity pings don't re-read the
+ * session log.
+ * @returns {Promise<Object>} - Object mapping keys to time in ms, not to be modified
+ */
+async function getSavedScheduledTotals(startDate, endDate, schedule) {
+  const todayKey = getTodayKey(config.settings.dayStartHour);
+  const cacheKey = `${formatDateKey(startDate)}:${todayKey}:${JSON.stringify(schedule)}`;
+
+  if (!statsCache.scheduled[cacheKey]) {
+    const generation = statsCache.generation;
+    const rangeStart = startDate.getTime();
+    const sessions = await getSessions(startDate, endDate);
+    if (countsPrivateTime()) {
+      const { sessions: privateSessions } = await getSavedIncognito();
+      sessions.push(...privateSessions.filter(session => session.end > rangeStart));
+    }
+
+    const totals = {};
+    addScheduledTime(totals, sessions, rangeStart, schedule);
+    if (generation !== statsCache.generation) {
+      return totals;
+    }
+    statsCache.scheduled[cacheKey] = totals;
+  }
+
+  return statsCache.scheduled[cacheKey];
+}
+
+/**
+ * Add the parts of sessions inside schedule windows to per-key totals
+ */
+function addScheduledTime(totals, sessions, rangeStart, schedule) {
+  for (const session of sessions) {
+    const duration = getScheduledDuration(Math.max(session.start, rangeStart), session.end, schedule);
+    if (duration > 0) {
+      const key = normalizeTrackingKey(session.domain, config.settings);
+      totals[key] = (totals[key] || 0) + duration;
+    }
+  }
+}
+
+/**
+ * Get domain status (time used, limit, exceeded)
+ * The site's own limit is reported at the top level and the most
+ * constrained limit group it belongs to under `group`.
+ */
+async function getDomainStatus(domain, incognito = false) {
+  if (!domain) {
+    return { hasLimit: false, limitExceeded: false };
+  }
+
+  // Limits and focus lists are keyed by the grouped key
+  domain = normalizeTrackingKey(domain, config.settings);
+
+  // Private windows can be left out of limits and focus blocks
+  if (incognito && !config.settings.enforceLimitsInIncognito) {
+    return { hasLimit: false, limitExceeded: false, domain };
+  }
+
+  const status = await getLimitStatus(domain);
+
+  const group = await getGroupStatusForKey(domain);
+  if (group) {
+    status.group = group;
+  }
+
+  if (isFocusBlocked(domain)) {
+    status.focusBlocked = true;
+    status.focusEnforcement = config.settings.focusEnforcement;
+    status.focusEndsAt = config.focus.phaseEndsAt;
+  }
+
+  return status;
+}
+
+/**
+ * Get time used and limit state for a domain
+ */
+async function getLimitStatus(domain) {
+  const limits = await getLimits();
+  const limitConfig = limits[domain];
+
+  // Get today's time for display
+  const todayStart = getPeriodStartDate('day');
+  let todayTime = (await getSavedTotals(todayStart))[domain] || 0;
+  todayTime += getUnsavedTime(todayStart.getTime())[domain] || 0;
+
+  if (!limitConfig) {
+    return {
+      hasLimit: false,
+      limitExceeded: false,
+      totalTime: todayTime,
+      domain
+    };
+  }
+
+  return {
+    hasLimit: true,
+    ...await evaluateLimit(limitConfig, key => key === domain, domain),
+    totalTime: todayTime,
+    domain
+  };
+}
+
+/**
+ * Evaluate a site limit or limit group against the time used in its period
+ * @param {Object} limitConfig - { limit, period, schedule?, enforcement? }
+ * @param {Function} matchesKey - Predicate selecting the tracking keys the limit covers
+ * @param {string|null} snoozeKey - Site whose snoozes apply, or null to skip snoozes
+ */
+async function evaluateLimit(limitConfig, matchesKey, snoozeKey) {
+  // Get time for the limit's period; scheduled limits only count and
+  // apply inside their windows
+  const schedule = limitConfig.schedule || null;
+  const scheduleActive = isWithinSchedule(Date.now(), schedule);
+  const alignment = limitConfig.alignment || DEFAULT_ALIGNMENT;
+  const periodTime = await getTimeForPeriod(matchesKey, limitConfig.period, alignment, schedule);
+  const limitExceeded = scheduleActive && periodTime > limitConfig.limit;
+  const snooze = snoozeKey ? await getSnoozeStatus(snoozeKey, limitConfig.period, alignment) : {};
+
+  return {
     limit: limitConfig.limit,
     period: limitConfig.period,
-    totalTime: todayTime,
+    alignment,
+    enforcement: limitConfig.enforcement || ENFORCEMENT_MODES.OVERLAY,
+    resetsAt: getPeriodResetTime(limitConfig.period, Date.now(), alignment, config.settings.weekStartDay, config.settings.dayStartHour),
+    schedule,
+    scheduleActive,
+    scheduleEndsAt: scheduleActive ? getScheduleWindowEnd(Date.now(), schedule) : null,
     periodTime,
     limitExceeded,
     exceededBy: limitExceeded ? periodTime - limitConfig.limit : 0,
     remainingTime: Math.max(0, limitConfig.limit - periodTime),
-    domain
+    ...snooze
   };
 }
 
+/**
+ * Check if a tracking key counts towards a limit group
+ * Members cover their subdomains and any sub-sites split off by path rules.
+ */
+function isGroupMember(group, key) {
+  return group.domains.some(member => {
+    return isKeyCoveredBy(key, member) || isKeyCoveredBy(getKeyDomain(key), member);
+  });
+}
+
+/**
+ * Evaluate a limit group
+ */
+async function getGroupStatus(group, snoozeKey = null) {
+  return {
+    id: group.id,
+    name: group.name,
+    domains: group.domains,
+    ...await evaluateLimit(group, key => isGroupMember(group, key), snoozeKey)
+  };
+}
+
+/**
+ * Get the most constrained limit group a tracking key belongs to
+ * An exceeded group wins, otherwise the one with the least time left.
+ */
+async function getGroupStatusForKey(key) {
+  const groups = (await getLimitGroups()).filter(group => isGroupMember(group, key));
+  let result = null;
+
+  for (const group of groups) {
+    const status = await getGroupStatus(group, key);
+    if (!result ||
+        (status.limitExceeded && !result.limitExceeded) ||
+        (status.limitExceeded === result.limitExceeded && status.remainingTime < result.remainingTime)) {
+      result = status;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get all limit groups with their current usage
+ */
+async function getLimitGroupStatuses() {
+  const groups = await getLimitGroups();
+  return Promise.all(groups.map(group => getGroupStatus(group)));
+}
+
+/**
+ * Fire advance warnings for thresholds the site's limits have just reached
+ * Each threshold fires once per period, as a notification and in the
+ * returned message, which the content script shows as a toast.
+ * @returns {Promise<string|null>} - Warning message, or null if nothing fired
+ */
+async function checkLimitWarnings(status) {
+  const limits = [];
+  if (status.hasLimit) {
+    limits.push({ key: status.domain, label: status.domain, limit: status });
+  }
+  if (status.group) {
+    limits.push({ key: `group:${status.group.id}`, label: status.group.name, limit: status.group });
+  }
+
+  const messages = [];
+
+  for (const { key, label, limit } of limits) {
+    if (limit.limitExceeded || !limit.scheduleActive) continue;
+
+    const reached = config.settings.warningThresholds
+      .filter(threshold => isWarningThresholdReached(threshold, limit))
+      .map(threshold => `${threshold.type}:${threshold.value}`);
+    if (reached.length === 0) continue;
+
+    const periodStart = getPeriodStartDate(limit.period, limit.alignment).getTime();
+    const fired = await markWarningsFired(key, periodStart, reached);
+    if (fired.length === 0) continue;
+
+    const message = `${formatDuration(limit.remainingTime)} left of your ${label} limit`;
+    messages.push(message);
+
+    try {
+      await chrome.notifications.create(`limit-warning:${key}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icons/icon128.png'),
+        title: 'Time limit almost reached',
+        message
+      });
+    } catch (e) {
+      console.error('[TimeTracker] Error showing limit warning:', e);
+    }
+  }
+
+  return messages.length > 0 ? messages.join('. ') : null;
+}
+
+/**
+ * Get snooze usage for a domain in the current limit period
+ */
+async function getSnoozeStatus(domain, period, alignment) {
+  const periodStart = getPeriodStartDate(period, alignment).getTime();
+  const now = Date.now();
+  const snoozes = (await getSnoozes())
+    .filter(snooze => snooze.domain === domain && snooze.at >= periodStart);
+  const active = snoozes.find(snooze => snooze.until > now);
+
+  return {
+    snoozedUntil: active ? active.until : null,
+    snoozesUsed: snoozes.length,
+    snoozesLeft: Math.max(0, config.settings.snoozesPerPeriod - snoozes.length),
+    snoozeMinutes: config.settings.snoozeMinutes
+  };
+}
+
+/**
+ * Snooze the exceeded limits of a site, using up one of the period's snoozes
+ * One snooze covers both the site's own limit and its limit group.
+ * @param {string} domain - Tracking key
+ * @param {boolean} incognito - Snoozed from a private window
+ */
+async function snoozeLimit(domain, incognito = false) {
+  const status = await getDomainStatus(domain, incognito);
+  const exceeded = [status, status.group].filter(limit => limit?.limitExceeded);
+
+  if (exceeded.length === 0) {
+    throw new Error('Limit is not exceeded');
+  }
+  if (exceeded.some(limit => limit.snoozedUntil)) {
+    return status;
+  }
+  if (exceeded.some(limit => limit.snoozesLeft <= 0)) {
+    throw new Error('No snoozes left for this period');
+  }
+
+  const now = Date.now();
+  await addSnooze({ domain, at: now, until: now + config.settings.snoozeMinutes * 60000 }, config.settings.dailyRetentionDays);
+
+  console.log('[TimeTracker] Limit snoozed:', domain);
+  return await getDomainStatus(domain, incognito);
+}
+
 /**
  * Get today's stats
  */
 async function getTodayStats() {
-  const todayKey = getTodayKey();
-  const todayData = await getDailyData(todayKey);
+  const todayKey = getTodayKey(config.settings.dayStartHour);
+  const { [todayKey]: today } = await getSavedDays([todayKey]);
   const limits = await getLimits();
 
-  // Add pending time
-  const combined = { ...todayData };
-  for (const [domain, time] of Object.entries(state.pendingTime)) {
+  // Add pending and current session time since midnight
+  const todayStart = getPeriodStartDate('day').getTime();
+  const combined = { ...today.data };
+  for (const [domain, time] of Object.entries(getUnsavedTime(todayStart))) {
     combined[domain] = (combined[domain] || 0) + time;
   }
 
-  // Add current session time
-  if (state.isTracking && state.activeDomain && state.sessionStartTime) {
-    const sessionTime = Date.now() - state.sessionStartTime;
-    combined[state.activeDomain] = (combined[state.activeDomain] || 0) + sessionTime;
+  // Passive media time, a subset of the totals
+  const media = { ...today.media };
+  for (const [domain, time] of Object.entries(getUnsavedTime(todayStart, true))) {
+    media[domain] = (media[domain] || 0) + time;
+  }
+
+  // Private window time, kept apart from the history
+  let incognito = null;
+  if (config.settings.incognitoTracking === INCOGNITO_TRACKING.SEPARATE) {
+    incognito = { ...(await getSavedIncognito()).data[todayKey] };
+    for (const [domain, time] of Object.entries(getUnsavedTime(todayStart, false, true))) {
+      incognito[domain] = (incognito[domain] || 0) + time;
+    }
   }
 
   return {
     date: todayKey,
     data: combined,
+    media,
+    incognito,
     limits
   };
 }
 
 /**
  * Get stats for the last N days
+ * Days past daily retention are returned as monthly totals in monthlyData,
+ * with the number of days each covers in monthlyDays.
  */
 async function getStats(days) {
   const todayStats = await getTodayStats();
-  const limits = await getLimits();
+  const categories = await getCategories();
+  const ratings = await getRatings();
 
   // Get historical data
   const dailyData = {};
+  const mediaData = {};
   dailyData[todayStats.date] = todayStats.data;
+  mediaData[todayStats.date] = todayStats.media;
 
-  const endDate = new Date();
-  const startDate = new Date();
+  // Walk back from the start of today, which may not be midnight
+  const startDate = getDayStart(Date.now(), config.settings.dayStartHour);
   startDate.setDate(startDate.getDate() - days + 1);
 
-  const current = new Date(startDate);
-  while (current < endDate) {
-    const dateKey = `${current.getFullYear()}-${String(current.getMonth() + 1).padStart(2, '0')}-${String(current.getDate()).padStart(2, '0')}`;
-    if (dateKey !== todayStats.date) {
-      dailyData[dateKey] = await getDailyData(dateKey);
-    }
-    current.setDate(current.getDate() + 1);
+  const pastKeys = getDateKeysInRange(startDate, todayStats.date).filter(dateKey => dateKey !== todayStats.date);
+  const pastDays = await getSavedDays(pastKeys);
+  for (const [dateKey, day] of Object.entries(pastDays)) {
+    dailyData[dateKey] = day.data;
+    mediaData[dateKey] = day.media;
+  }
+
+  // Days past daily retention only survive as monthly totals
+  const monthlyData = {};
+  const monthlyDays = {};
+  for (const [monthKey, rollup] of Object.entries(await getMonthlyRange(startDate, todayStats.date))) {
+    monthlyData[monthKey] = normalizeDomainData(rollup.data, config.settings);
+    monthlyDays[monthKey] = rollup.days.length;
+  }
+
+  // Per-day category totals and focus scores
+  const categoryTotals = {};
+  const focusScores = {};
+  for (const [dateKey, data] of Object.entries({ ...dailyData, ...monthlyData })) {
+    categoryTotals[dateKey] = aggregateCategories(data, categories);
+    focusScores[dateKey] = computeFocusScore(data, ratings, categories);
   }
 
   return {
+    today: todayStats.date,
     dailyData,
-    limits
+    mediaData,
+    monthlyData,
+    monthlyDays,
+    categoryTotals,
+    focusScores,
+    incognitoData: todayStats.incognito,
+    limits: todayStats.limits
   };
 }
+
+/**
+ * Get sessions for a date range, including ones not yet persisted
+ */
+async function getSessionTimeline(startDate, endDate, domain) {
+  const today = getTodayKey(config.settings.dayStartHour);
+
+  // Filter after normalizing so stored host-level sessions match grouped domains
+  const sessions = (await getSessions(startDate || today, endDate || today))
+    .map(session => ({ ...session, domain: normalizeTrackingKey(session.domain, config.settings) }))
+    .filter(session => !domain || session.domain === domain);
+
+  const inFlight = getUnsavedSessions();
+
+  // Each day runs from the configured start hour to the same hour next day
+  const rangeStartDate = new Date(`${startDate || today}T00:00:00`);
+  rangeStartDate.setHours(config.settings.dayStartHour);
+  const rangeEndDate = new Date(`${endDate || today}T00:00:00`);
+  rangeEndDate.setDate(rangeEndDate.getDate() + 1);
+  rangeEndDate.setHours(config.settings.dayStartHour);
+  const rangeStart = rangeStartDate.getTime();
+  const rangeEnd = rangeEndDate.getTime();
+
+  for (const session of inFlight) {
+    const key = normalizeTrackingKey(session.domain, config.settings);
+    if (domain && key !== domain) continue;
+    if (session.end < rangeStart || session.start > rangeEnd) continue;
+    // Clip to the range like stored sessions, which are split at midnight
+    sessions.push({ ...session, domain: key, start: Math.max(session.start, rangeStart), end: Math.min(session.end, rangeEnd) });
+  }
+
+  sessions.sort((a, b) => a.start - b.start);
+
+  return { sessions };
+}
+
+/**
+ * Export tracked data as a CSV range or a full JSON backup
+ */
+async function exportData(format, startDate, endDate) {
+  // Flush in-memory time so the export includes the current session
+  await persistPendingTime();
+
+  const today = getTodayKey(config.settings.dayStartHour);
+
+  if (format === 'csv') {
+    const start = startDate || today;
+    const end = endDate || today;
+    return {
+      filename: `time-tracker-${start}_${end}.csv`,
+      mimeType: 'text/csv',
+      content: await buildCsvExport(start, end)
+    };
+  }
+
+  if (format === 'json') {
+    return {
+      filename: `time-tracker-backup-${today}.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify(await buildBackup(), null, 2)
+    };
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * Import a JSON backup after flushing in-memory time
+ */
+async function importBackup(backup, strategy) {
+  const errors = validateBackup(backup);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  // Write pending time first so the merge sees (and keeps) it
+  await persistPendingTime();
+
+  const summary = await restoreBackup(backup, strategy);
+  await loadConfig();
+
+  console.log('[TimeTracker] Imported backup:', summary);
+  return { success: true, ...summary };
+}
+
+// Serialized copy of the last applied block rules, to skip no-op updates
+let appliedBlockRules = null;
+
+/**
+ * Keep declarativeNetRequest redirect rules in sync with exceeded hard-block limits
+ */
+async function syncBlockRules() {
+  try {
+    const limits = await getLimits();
+    const blockedKeys = [];
+
+    for (const [key, limitConfig] of Object.entries(limits)) {
+      if (limitConfig.enforcement !== ENFORCEMENT_MODES.BLOCK) continue;
+      const status = await getLimitStatus(key);
+      if (status.limitExceeded) {
+        blockedKeys.push(key);
+      }
+    }
+
+    for (const group of await getLimitGroups()) {
+      if (group.enforcement !== ENFORCEMENT_MODES.BLOCK) continue;
+      const status = await getGroupStatus(group);
+      if (status.limitExceeded) {
+        for (const member of group.domains) {
+          if (!blockedKeys.includes(member)) blockedKeys.push(member);
+        }
+      }
+    }
+
+    if (isFocusRunning() && config.settings.focusEnforcement === ENFORCEMENT_MODES.BLOCK) {
+      for (const host of config.settings.focusBlockList) {
+        if (!blockedKeys.includes(host)) blockedKeys.push(host);
+      }
+    }
+
+    await applyBlockRules(blockedKeys);
+  } catch (e) {
+    console.error('[TimeTracker] Error syncing block rules:', e);
+  }
+}
+
+/**
+ * Replace the dynamic rules so exactly the given tracking keys are blocked
+ * Tabs already open on a newly blocked site are redirected as well, since
+ * the rules only apply to new navigations.
+ */
+async function applyBlockRules(blockedKeys) {
+  const rules = buildBlockRules(blockedKeys);
+  const serialized = JSON.stringify(rules);
+
+  if (serialized !== appliedBlockRules) {
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id),
+      addRules: rules
+    });
+    appliedBlockRules = serialized;
+    console.log('[TimeTracker] Blocking:', blockedKeys);
+  }
+
+  if (blockedKeys.length === 0) return;
+
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (!shouldTrackUrl(tab.url)) continue;
+    if (tab.incognito && !config.settings.enforceLimitsInIncognito) continue;
+    const key = normalizeTrackingKey(resolveTrackingKey(tab.url), config.settings);
+    const blockedKey = blockedKeys.find(blocked => isKeyCoveredBy(key, blocked));
+    if (blockedKey) {
+      await chrome.tabs.update(tab.id, { url: chrome.runtime.getURL(getBlockPagePath(blockedKey, tab.url)) });
+    }
+  }
+}
+
+/**
+ * Keep private tabs out of the block rules when limits aren't enforced there
+ * declarativeNetRequest can't match on incognito, so a higher priority
+ * session rule allows navigation in the private tabs by id.
+ */
+async function syncIncognitoAllowRule() {
+  const tabs = config.settings.enforceLimitsInIncognito ? [] : await chrome.tabs.query({});
+  const tabIds = tabs.filter(tab => tab.incognito).map(tab => tab.id);
+
+  try {
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [INCOGNITO_ALLOW_RULE_ID],
+      addRules: tabIds.length === 0 ? [] : [{
+        id: INCOGNITO_ALLOW_RULE_ID,
+        priority: 3,
+        action: { type: 'allow' },
+        condition: { tabIds, resourceTypes: ['main_frame'] }
+      }]
+    });
+  } catch (e) {
+    console.error('[TimeTracker] Error updating incognito allow rule:', e);
+  }
+}
+
+/**
+ * Check if a tracking key falls under a blocked key
+ * A site key covers its subdomains and the sub-sites split off them by path
+ * rules; a sub-site key only covers itself.
+ */
+function isKeyCoveredBy(key, blockedKey) {
+  if (key === blockedKey) return true;
+  if (blockedKey.includes('/')) return false;
+  const host = getKeyDomain(key);
+  return host === blockedKey || host.endsWith(`.${blockedKey}`);
+}
+
+/**
+ * Build declarativeNetRequest rules redirecting blocked keys to the block page
+ */
+function buildBlockRules(blockedKeys) {
+  const rules = [];
+  const resourceTypes = ['main_frame'];
+  const pathRuleKeys = config.pathRules.map(rule => ({
+    rule,
+    key: normalizeTrackingKey(`${rule.domain}/${rule.name}`, config.settings)
+  }));
+
+  for (const key of blockedKeys) {
+    const action = {
+      type: 'redirect',
+      redirect: { extensionPath: getBlockPagePath(key) }
+    };
+    const host = getKeyDomain(key);
+
+    if (key !== host) {
+      // Sub-site: only URLs matched by its path rules
+      for (const { rule } of pathRuleKeys.filter(entry => entry.key === key)) {
+        rules.push({
+          id: rules.length + 1,
+          priority: 2,
+          action,
+          condition: { regexFilter: getPathRuleUrlRegex(rule), resourceTypes }
+        });
+      }
+      continue;
+    }
+
+    // Whole site, sub-sites included, minus hosts that are tracked separately
+    const condition = { requestDomains: [host], resourceTypes };
+    const separateHosts = (config.settings.keepSeparate || [])
+      .filter(h => h.endsWith(`.${host}`));
+    if (separateHosts.length > 0) {
+      condition.excludedRequestDomains = separateHosts;
+    }
+    rules.push({ id: rules.length + 1, priority: 1, action, condition });
+  }
+
+  return rules;
+}
+
+/**
+ * Get the block page path for a key
+ * @param {string} key - Blocked tracking key
+ * @param {string|null} url - Page that was blocked, for the block page's way back
+ */
+function getBlockPagePath(key, url = null) {
+  const path = `${BLOCK_PAGE_PATH}?domain=${encodeURIComponent(key)}`;
+  return url ? `${path}&url=${encodeURIComponent(url)}` : path;
+}
+
+/**
+ * Check if a focus round (not a break) is running
+ */
+function isFocusRunning() {
+  return config.focus?.phase === FOCUS_PHASES.FOCUS && config.focus.phaseEndsAt > Date.now();
+}
+
+/**
+ * Check if a tracking key is on the focus block list during a focus round
+ */
+function isFocusBlocked(key) {
+  if (!isFocusRunning()) return false;
+  return config.settings.focusBlockList.some(host => isKeyCoveredBy(getKeyDomain(key), host));
+}
+
+/**
+ * Start a focus session of one or more rounds with breaks in between
+ */
+async function startFocus(minutes, rounds = 1, breakMinutes = config.settings.focusBreakMinutes) {
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('Focus session needs a duration');
+  }
+
+  if (isFocusRunning()) {
+    await logFocusRound(config.focus, 'abandoned');
+  }
+
+  const now = Date.now();
+  config.focus = {
+    phase: FOCUS_PHASES.FOCUS,
+    minutes,
+    rounds: Math.max(1, rounds || 1),
+    round: 1,
+    breakMinutes: Math.max(0, breakMinutes || 0),
+    phaseStartedAt: now,
+    phaseEndsAt: now + minutes * 60000
+  };
+
+  await saveFocusState(config.focus);
+  await chrome.alarms.create(ALARMS.FOCUS_TIMER, { when: config.focus.phaseEndsAt });
+  await syncBlockRules();
+
+  console.log('[TimeTracker] Focus session started:', config.focus);
+  return { success: true, focus: config.focus };
+}
+
+/**
+ * Stop the focus session early, logging a running round as abandoned
+ */
+async function stopFocus() {
+  if (isFocusRunning()) {
+    await logFocusRound(config.focus, 'abandoned');
+  }
+
+  config.focus = null;
+  await saveFocusState(null);
+  await chrome.alarms.clear(ALARMS.FOCUS_TIMER);
+  await syncBlockRules();
+
+  return { success: true };
+}
+
+/**
+ * Move the focus session to its next phase once the current one has ended
+ * Runs from the alarm and on startup, so a timer that ran out while the
+ * worker or browser was down is caught up.
+ */
+async function advanceFocus() {
+  let focus = config.focus;
+  if (!focus || focus.phaseEndsAt > Date.now()) return;
+
+  // Several phases may have ended if the browser was closed
+  while (focus && focus.phaseEndsAt <= Date.now()) {
+    if (focus.phase === FOCUS_PHASES.FOCUS) {
+      await logFocusRound(focus, 'completed');
+    }
+    focus = getNextFocusPhase(focus);
+  }
+
+  config.focus = focus;
+  await saveFocusState(focus);
+
+  if (focus) {
+    await chrome.alarms.create(ALARMS.FOCUS_TIMER, { when: focus.phaseEndsAt });
+  }
+
+  await syncBlockRules();
+}
+
+/**
+ * Get the phase that follows the given one, or null when the session is over
+ */
+function getNextFocusPhase(focus) {
+  if (focus.round >= focus.rounds) {
+    return null;
+  }
+
+  if (focus.phase === FOCUS_PHASES.FOCUS && focus.breakMinutes > 0) {
+    return {
+      ...focus,
+      phase: FOCUS_PHASES.BREAK,
+      phaseStartedAt: focus.phaseEndsAt,
+      phaseEndsAt: focus.phaseEndsAt + focus.breakMinutes * 60000
+    };
+  }
+
+  return {
+    ...focus,
+    phase: FOCUS_PHASES.FOCUS,
+    round: focus.round + 1,
+    phaseStartedAt: focus.phaseEndsAt,
+    phaseEndsAt: focus.phaseEndsAt + focus.minutes * 60000
+  };
+}
+
+/**
+ * Log a focus round as completed or abandoned
+ */
+async function logFocusRound(focus, status) {
+  await appendFocusLog({
+    startedAt: focus.phaseStartedAt,
+    endedAt: Math.min(Date.now(), focus.phaseEndsAt),
+    plannedMinutes: focus.minutes,
+    status
+  });
+}
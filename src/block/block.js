@@ -0,0 +1,128 @@
+// Block page script - shown instead of hard-blocked sites
+
+const STATUS_CHECK_MS = 30000;
+
+// Format duration for display
+function formatDuration(ms) {
+  if (ms < 1000) return '0s';
+
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  const remainingMinutes = minutes % 60;
+  const remainingSeconds = seconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${remainingMinutes}m`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${remainingSeconds}s`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+// Format a reset time, with the day when it isn't today
+function formatResetTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  const daysAway = (timestamp - Date.now()) / (24 * 60 * 60 * 1000);
+  const day = daysAway < 6
+    ? date.toLocaleDateString('en-US', { weekday: 'short' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${day} ${time}`;
+}
+
+// Format period label
+function formatPeriod(period, alignment = 'rolling') {
+  if (alignment === 'rolling') {
+    if (period === 'week') return 'in the last 7 days';
+    if (period === 'month') return 'in the last 30 days';
+  }
+
+  switch (period) {
+    case 'day': return 'today';
+    case 'week': return 'this week';
+    case 'month': return 'this month';
+    default: return 'today';
+  }
+}
+
+// Get the hostname part of a tracking key (sub-site keys are host/name)
+function getKeyDomain(key) {
+  return key ? key.split('/')[0] : key;
+}
+
+const params = new URLSearchParams(window.location.search);
+const blockedDomain = params.get('domain');
+// The page that was blocked, when the redirect knew it
+const blockedUrl = params.get('url');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  if (blockedDomain) {
+    document.getElementById('blocked-domain').textContent = blockedDomain;
+    document.title = `Blocked: ${blockedDomain}`;
+  }
+
+  document.getElementById('open-dashboard').addEventListener('click', () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL('src/dashboard/dashboard.html')
+    });
+  });
+
+  await loadStatus();
+  setInterval(loadStatus, STATUS_CHECK_MS);
+});
+
+// Load usage and reset time for the blocked site
+async function loadStatus() {
+  if (!blockedDomain) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_DOMAIN_STATUS',
+      domain: blockedDomain
+    });
+
+    if (!response) return;
+
+    // Show the limit that blocked the site: its own, else its limit group's
+    const limit = [response, response.group].find(l => l?.limitExceeded) ||
+      (response.hasLimit ? response : response.group);
+    const limitExceeded = Boolean(limit?.limitExceeded);
+
+    if (limit) {
+      const limitMinutes = Math.round(limit.limit / 60000);
+      document.getElementById('usage').textContent = `${formatDuration(limit.periodTime)} / ${limitMinutes}m`;
+      document.getElementById('usage-label').textContent = limit.name
+        ? `${limit.name} used ${formatPeriod(limit.period, limit.alignment)}`
+        : `Used ${formatPeriod(limit.period, limit.alignment)}`;
+
+      const availableAt = limit.scheduleEndsAt
+        ? Math.min(limit.scheduleEndsAt, limit.resetsAt)
+        : limit.resetsAt;
+      document.getElementById('resets-at').textContent = formatResetTime(availableAt);
+    }
+
+    // A focus round outlasting the limit decides when the site is back
+    if (response.focusBlocked) {
+      document.getElementById('block-title').textContent = 'Focus Session';
+      const availableAt = limitExceeded ? Math.max(response.focusEndsAt, limit.resetsAt) : response.focusEndsAt;
+      document.getElementById('resets-at').textContent = formatResetTime(availableAt);
+    } else {
+      document.getElementById('block-title').textContent = 'Time Limit Reached';
+    }
+
+    if (!limitExceeded && !response.focusBlocked) {
+      const link = document.getElementById('continue-link');
+      link.href = /^https?:\/\//.test(blockedUrl || '') ? blockedUrl : `https://${getKeyDomain(blockedDomain)}`;
+      document.getElementById('available-now').style.display = 'block';
+    }
+  } catch (e) {
+    console.error('Error loading block status:', e);
+  }
+}
@@ -1,16 +1,29 @@
 // Content script for activity detection and overlay injection
 // Note: Cannot use ES modules in content scripts, so constants are inline
 
-const ACTIVITY_THROTTLE_MS = 1000;
-const INACTIVITY_CHECK_MS = 5000;
+const SETTINGS_KEY = 'meta';
+const DEFAULT_SETTINGS = {
+  activityThrottleMs: 1000, // Report activity at most this often
+  statusCheckSeconds: 5, // How often to refresh the limit status
+  excludedSites: [] // Hosts and patterns that are never tracked
+};
+const WARNING_TOAST_MS = 8000;
+const MEDIA_CHECK_MS = 5000; // Must stay below the shortest inactivity timeout the options page offers
 const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'click'];
+const ROUTE_CHANGE_EVENTS = ['wtt:locationchange', 'popstate']; // wtt:locationchange comes from route-observer.js
 
 // State
+let settings = { ...DEFAULT_SETTINGS };
 let lastReportTime = 0;
 let isLimitExceeded = false;
+let isFocusBlocked = false;
 let overlayElement = null;
+let toastElement = null;
 let currentDomain = null;
+let currentUrl = null;
+let trackedName = null; // Tracking key reported back by the background, e.g. youtube.com/shorts
 let activityCheckInterval = null;
+let mediaCheckInterval = null;
 
 // Extract domain from URL
 function extractDomain(url) {
@@ -22,6 +35,21 @@ function extractDomain(url) {
   }
 }
 
+// Check if a host is on the exclusion list
+// Plain hosts cover their subdomains; * and ? patterns must match the whole host
+function isExcludedHost(host, patterns) {
+  const target = host.replace(/^\[|\]$/g, '').toLowerCase();
+  return patterns.some(pattern => {
+    const rule = pattern.trim().replace(/^\[|\]$/g, '').toLowerCase();
+    if (!rule) return false;
+    if (/[*?]/.test(rule)) {
+      const source = rule.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      return new RegExp(`^${source}$`).test(target);
+    }
+    return target === rule || target.endsWith(`.${rule}`);
+  });
+}
+
 // Format duration for display
 function formatDuration(ms) {
   if (ms < 1000) return '0s';
@@ -42,15 +70,60 @@ function formatDuration(ms) {
   }
 }
 
+// Format a reset time, with the day when it isn't today
+function formatResetTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  const daysAway = (timestamp - Date.now()) / (24 * 60 * 60 * 1000);
+  const day = daysAway < 6
+    ? date.toLocaleDateString('en-US', { weekday: 'short' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${day} ${time}`;
+}
+
+// Load tuning settings shared with the background; missing ones use the defaults
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    settings = { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+  } catch (e) {
+    console.error('[TimeTracker] Error loading settings:', e);
+  }
+}
+
+// Apply settings changed on the options page without a reload
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+
+  settings = { ...DEFAULT_SETTINGS, ...changes[SETTINGS_KEY].newValue };
+  startStatusCheck();
+}
+
+// (Re)start the periodic status check at the configured interval
+function startStatusCheck() {
+  if (activityCheckInterval) {
+    clearInterval(activityCheckInterval);
+  }
+  activityCheckInterval = setInterval(checkDomainStatus, settings.statusCheckSeconds * 1000);
+}
+
 // Initialize
-function init() {
-  currentDomain = extractDomain(window.location.href);
+async function init() {
+  currentUrl = window.location.href;
+  currentDomain = extractDomain(currentUrl);
+  trackedName = currentDomain;
 
   if (!currentDomain) {
     console.log('[TimeTracker] No valid domain, skipping');
     return;
   }
 
+  await loadSettings();
+  chrome.storage.onChanged.addListener(handleStorageChange);
+
   // Attach activity listeners
   ACTIVITY_EVENTS.forEach(event => {
     document.addEventListener(event, handleActivity, { passive: true, capture: true });
@@ -59,21 +132,61 @@ function init() {
   // Handle visibility changes
   document.addEventListener('visibilitychange', handleVisibilityChange);
 
+  // Handle single-page app route changes
+  ROUTE_CHANGE_EVENTS.forEach(event => {
+    window.addEventListener(event, handleRouteChange);
+  });
+
   // Check domain status on load
   checkDomainStatus();
 
   // Set up periodic status check
-  activityCheckInterval = setInterval(checkDomainStatus, INACTIVITY_CHECK_MS);
+  startStatusCheck();
+
+  // Playing media keeps the page active without any input
+  mediaCheckInterval = setInterval(checkMediaPlayback, MEDIA_CHECK_MS);
 
   console.log('[TimeTracker] Content script initialized for:', currentDomain);
 }
 
 // Handle user activity
 function handleActivity() {
+  reportActivity(false);
+}
+
+// Report media playback as passive activity
+function checkMediaPlayback() {
+  if (isMediaPlaying()) {
+    reportActivity(true);
+  }
+}
+
+// Check for playing, audible media on a visible page
+function isMediaPlaying() {
+  if (document.visibilityState !== 'visible') return false;
+
+  return [...document.querySelectorAll('video, audio')].some(el => {
+    if (el.paused || el.ended || el.muted || el.volume === 0) return false;
+    // Video elements that take up no space on the page don't count
+    if (el.tagName === 'VIDEO') {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return false;
+    }
+    return true;
+  });
+}
+
+// Report activity to the background, throttled
+function reportActivity(media) {
   const now = Date.now();
 
   // Throttle reports
-  if (now - lastReportTime < ACTIVITY_THROTTLE_MS) {
+  if (now - lastReportTime < settings.activityThrottleMs) {
+    return;
+  }
+
+  // Time on excluded sites is never tracked, so there is nothing to report
+  if (isExcludedHost(currentDomain, settings.excludedSites)) {
     return;
   }
 
@@ -84,7 +197,9 @@ function handleActivity() {
   chrome.runtime.sendMessage({
     type: 'ACTIVITY_DETECTED',
     domain: currentDomain,
-    timestamp: now
+    url: currentUrl,
+    timestamp: now,
+    media
   }, (response) => {
     if (chrome.runtime.lastError) {
       console.error('[TimeTracker] Message error:', chrome.runtime.lastError);
@@ -94,10 +209,11 @@ function handleActivity() {
 
     console.log('[TimeTracker] Activity response:', response);
 
-    if (response && response.limitExceeded && !isLimitExceeded) {
-      showLimitExceededOverlay(response.exceededBy);
-      isLimitExceeded = true;
+    if (response?.warning) {
+      showWarningToast(response.warning);
     }
+
+    applyStatus(response);
   });
 }
 
@@ -109,37 +225,98 @@ function handleVisibilityChange() {
   }
 }
 
+// Handle route change within the page (pushState/replaceState/popstate)
+function handleRouteChange() {
+  const url = window.location.href;
+  if (url === currentUrl) return;
+
+  currentUrl = url;
+  console.log('[TimeTracker] Route changed:', currentUrl);
+
+  // The new route may belong to a different sub-site with its own limit
+  hideOverlay();
+  isLimitExceeded = false;
+  isFocusBlocked = false;
+
+  // Report immediately so time is attributed to the new route
+  lastReportTime = 0;
+  handleActivity();
+  checkDomainStatus();
+}
+
 // Check domain status
 function checkDomainStatus() {
   chrome.runtime.sendMessage({
     type: 'GET_DOMAIN_STATUS',
-    domain: currentDomain
+    domain: currentDomain,
+    url: currentUrl
   }, (response) => {
     if (chrome.runtime.lastError) {
       cleanup();
       return;
     }
 
-    if (response) {
-      if (response.limitExceeded && !isLimitExceeded) {
-        showLimitExceededOverlay(response.exceededBy);
-        isLimitExceeded = true;
-      } else if (!response.limitExceeded && isLimitExceeded) {
-        // Limit was removed or reset
-        hideLimitExceededOverlay();
-        isLimitExceeded = false;
-      } else if (response.limitExceeded && isLimitExceeded && overlayElement) {
-        // Update exceeded time
-        updateExceededTime(response.exceededBy);
-      }
-    }
+    applyStatus(response);
   });
 }
 
-// Show limit exceeded overlay
-function showLimitExceededOverlay(exceededByMs) {
+// Show, update or hide the overlay for a domain status response
+function applyStatus(response) {
+  if (!response) return;
+
+  if (response.domain) {
+    trackedName = response.domain;
+  }
+
+  // A focus session takes precedence over any limit
+  if (response.focusBlocked) {
+    if (!isFocusBlocked) {
+      hideOverlay();
+      showFocusOverlay(response.focusEndsAt);
+      isFocusBlocked = true;
+    } else {
+      updateFocusTime(response.focusEndsAt);
+    }
+    return;
+  }
+
+  if (isFocusBlocked) {
+    // Focus round ended
+    hideOverlay();
+    isFocusBlocked = false;
+    isLimitExceeded = false;
+  }
+
+  const exceededLimit = getExceededLimit(response);
+
+  if (exceededLimit && !isLimitExceeded) {
+    showLimitExceededOverlay(exceededLimit, response.group);
+    isLimitExceeded = true;
+  } else if (!exceededLimit && isLimitExceeded) {
+    // Limit was removed, reset or snoozed
+    hideOverlay();
+    isLimitExceeded = false;
+  } else if (exceededLimit && isLimitExceeded && overlayElement) {
+    // Update exceeded time
+    updateExceededTime(exceededLimit.exceededBy);
+  }
+}
+
+// Pick the exceeded limit to show: the site's own, else its limit group's
+function getExceededLimit(response) {
+  const limit = [response, response.group].find(l => l?.limitExceeded);
+  // A snoozed limit counts as not exceeded until the snooze runs out
+  return limit && !limit.snoozedUntil ? limit : null;
+}
+
+// Show limit exceeded overlay, with the site's limit group if it has one
+function showLimitExceededOverlay(status, group) {
   if (overlayElement) return;
 
+  const snoozeLabel = status.snoozesLeft > 0
+    ? `Snooze ${status.snoozeMinutes} minutes (${status.snoozesLeft} left)`
+    : 'No snoozes left';
+
   overlayElement = document.createElement('div');
   overlayElement.id = 'wtt-limit-overlay';
   overlayElement.innerHTML = `
@@ -152,25 +329,60 @@ function showLimitExceededOverlay(exceededByMs) {
         </svg>
       </div>
       <h2>Time Limit Exceeded</h2>
-      <p>You've exceeded your limit for <strong>${currentDomain}</strong></p>
-      <p class="wtt-exceeded-time">Over by: ${formatDuration(exceededByMs)}</p>
-      <button id="wtt-dismiss-btn">Dismiss (continue anyway)</button>
+      ${status.name
+        ? `<p>You've exceeded your <strong class="wtt-limit-name"></strong> limit</p>
+           <p class="wtt-group-sites wtt-shared-by"></p>`
+        : `<p>You've exceeded your limit for <strong class="wtt-limit-name"></strong></p>`}
+      ${group && group !== status ? '<p class="wtt-group-sites wtt-group-left"></p>' : ''}
+      <p class="wtt-exceeded-time">Over by: ${formatDuration(status.exceededBy)}</p>
+      <p class="wtt-resets-at">Resets ${formatResetTime(status.resetsAt)}</p>
+      <button id="wtt-snooze-btn"${status.snoozesLeft > 0 ? '' : ' disabled'}>${snoozeLabel}</button>
     </div>
   `;
+  // Names come from the page and the user's settings, so they are set as text
+  overlayElement.querySelector('.wtt-limit-name').textContent = status.name || trackedName;
+  if (status.name) {
+    overlayElement.querySelector('.wtt-shared-by').textContent = `Shared by ${status.domains.join(', ')}`;
+  }
+  if (group && group !== status) {
+    overlayElement.querySelector('.wtt-group-left').textContent =
+      `${group.name}: ${formatDuration(group.remainingTime)} left`;
+  }
 
   document.body.appendChild(overlayElement);
   document.body.classList.add('wtt-greyed-out');
 
-  // Dismiss button handler
-  const dismissBtn = document.getElementById('wtt-dismiss-btn');
-  if (dismissBtn) {
-    dismissBtn.addEventListener('click', () => {
-      hideLimitExceededOverlay();
-      // Keep isLimitExceeded true so overlay doesn't reappear immediately
-    });
+  // Snooze button handler
+  const snoozeBtn = document.getElementById('wtt-snooze-btn');
+  if (snoozeBtn) {
+    snoozeBtn.addEventListener('click', snoozeLimit);
   }
 }
 
+// Snooze the exceeded limit; the overlay comes back when the snooze expires
+function snoozeLimit() {
+  chrome.runtime.sendMessage({
+    type: 'SNOOZE_LIMIT',
+    domain: trackedName
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      cleanup();
+      return;
+    }
+
+    if (response?.error) {
+      const btn = document.getElementById('wtt-snooze-btn');
+      if (btn) {
+        btn.textContent = response.error;
+        btn.disabled = true;
+      }
+      return;
+    }
+
+    applyStatus(response);
+  });
+}
+
 // Update exceeded time display
 function updateExceededTime(exceededByMs) {
   const el = overlayElement?.querySelector('.wtt-exceeded-time');
@@ -179,8 +391,66 @@ function updateExceededTime(exceededByMs) {
   }
 }
 
-// Hide limit exceeded overlay
-function hideLimitExceededOverlay() {
+// Show focus session overlay (cannot be dismissed while the round runs)
+function showFocusOverlay(focusEndsAt) {
+  if (overlayElement) return;
+
+  overlayElement = document.createElement('div');
+  overlayElement.id = 'wtt-limit-overlay';
+  overlayElement.innerHTML = `
+    <div class="wtt-overlay-content wtt-focus">
+      <div class="wtt-warning-icon">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#0d6efd" stroke-width="2">
+          <circle cx="12" cy="12" r="10"></circle>
+          <polyline points="12 6 12 12 16 14"></polyline>
+        </svg>
+      </div>
+      <h2>Focus Session</h2>
+      <p><strong class="wtt-limit-name"></strong> is blocked while you focus</p>
+      <p class="wtt-focus-time">Back in: ${formatDuration(focusEndsAt - Date.now())}</p>
+    </div>
+  `;
+  overlayElement.querySelector('.wtt-limit-name').textContent = trackedName;
+
+  document.body.appendChild(overlayElement);
+  document.body.classList.add('wtt-greyed-out');
+}
+
+// Update focus countdown display
+function updateFocusTime(focusEndsAt) {
+  const el = overlayElement?.querySelector('.wtt-focus-time');
+  if (el) {
+    el.textContent = `Back in: ${formatDuration(focusEndsAt - Date.now())}`;
+  }
+}
+
+// Show a small warning toast that hides itself
+function showWarningToast(message) {
+  hideWarningToast();
+
+  toastElement = document.createElement('div');
+  toastElement.id = 'wtt-warning-toast';
+  toastElement.innerHTML = `
+    <span class="wtt-toast-message"></span>
+    <button class="wtt-toast-close" title="Close">&times;</button>
+  `;
+  toastElement.querySelector('.wtt-toast-message').textContent = message;
+  toastElement.querySelector('.wtt-toast-close').addEventListener('click', hideWarningToast);
+
+  document.body.appendChild(toastElement);
+  setTimeout(hideWarningToast, WARNING_TOAST_MS);
+}
+
+// Hide warning toast
+function hideWarningToast() {
+  if (toastElement) {
+    toastElement.remove();
+    toastElement = null;
+  }
+}
+
+// Hide overlay
+function hideOverlay() {
   if (overlayElement) {
     overlayElement.remove();
     overlayElement = null;
@@ -194,13 +464,23 @@ function cleanup() {
     document.removeEventListener(event, handleActivity, { passive: true, capture: true });
   });
   document.removeEventListener('visibilitychange', handleVisibilityChange);
+  ROUTE_CHANGE_EVENTS.forEach(event => {
+    window.removeEventListener(event, handleRouteChange);
+  });
+  chrome.storage.onChanged.removeListener(handleStorageChange);
 
   if (activityCheckInterval) {
     clearInterval(activityCheckInterval);
     activityCheckInterval = null;
   }
 
-  hideLimitExceededOverlay();
+  if (mediaCheckInterval) {
+    clearInterval(mediaCheckInterval);
+    mediaCheckInterval = null;
+  }
+
+  hideOverlay();
+  hideWarningToast();
 }
 
 // Start
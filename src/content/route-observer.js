@@ -0,0 +1,16 @@
+// Runs in the page's main world so it can see the page's own history calls.
+// Single-page apps change routes with pushState/replaceState, which fire no
+// event; this announces them to the isolated content script.
+
+(() => {
+  const EVENT_NAME = 'wtt:locationchange';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(EVENT_NAME));
+      return result;
+    };
+  });
+})();
@@ -11,8 +11,36 @@ if (typeof Chart === 'undefined') {
 let currentPeriod = 'day';
 let statsData = null;
 let limitsData = {};
+let categoriesData = {};
+let categoryNames = [];
+let ratingsData = {};
+let ratingDefaults = {}; // Built-in rating of each category
+let ratingNames = [];
+let pathRules = [];
+let settingsData = {};
+let focusLog = [];
+let snoozes = [];
+let limitGroups = [];
 let timeChart = null;
 let sitesChart = null;
+let categoryChart = null;
+let scoreChart = null;
+
+const SCORE_TREND_DAYS = 30;
+
+const TIMELINE_COLORS = [
+  '#0d6efd', '#d63384', '#fd7e14', '#198754', '#6f42c1',
+  '#20c997', '#dc3545', '#ffc107', '#17a2b8', '#6610f2'
+];
+
+const CATEGORY_COLORS = {
+  Work: '#0d6efd',
+  Social: '#d63384',
+  News: '#fd7e14',
+  Entertainment: '#6f42c1',
+  Shopping: '#20c997',
+  Other: '#adb5bd'
+};
 
 // Utility functions
 function formatDuration(ms) {
@@ -34,14 +62,24 @@ function formatDuration(ms) {
   }
 }
 
+// Start of the tracking day containing a time; days may start after midnight
+function getDayStart(time = Date.now()) {
+  const dayStartHour = settingsData.dayStartHour || 0;
+  const start = new Date(time);
+  if (start.getHours() < dayStartHour) {
+    start.setDate(start.getDate() - 1);
+  }
+  start.setHours(dayStartHour, 0, 0, 0);
+  return start;
+}
+
 function getTodayKey() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  return formatDateKey(getDayStart());
 }
 
 function getDateRange(period) {
-  const end = new Date();
-  const start = new Date();
+  const end = getDayStart();
+  const start = getDayStart();
 
   if (period === 'day') {
     // Just today
@@ -49,14 +87,24 @@ function getDateRange(period) {
     start.setDate(start.getDate() - 6);
   } else if (period === 'month') {
     start.setDate(start.getDate() - 29);
+  } else if (period === 'year') {
+    start.setMonth(0, 1);
   }
 
   return { start, end };
 }
 
+// Number of days a period covers, today included
+function getPeriodDayCount(period) {
+  const { start, end } = getDateRange(period);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+}
+
 function formatDateLabel(dateKey, period) {
   const date = new Date(dateKey);
-  if (period === 'day') {
+  if (period === 'year') {
+    return new Date(`${dateKey.slice(0, 7)}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short' });
+  } else if (period === 'day') {
     return 'Today';
   } else if (period === 'week') {
     return date.toLocaleDateString('en-US', { weekday: 'short' });
@@ -84,28 +132,97 @@ document.addEventListener('DOMContentLoaded', async () => {
     filterTable(e.target.value);
   });
 
+  // Set up timeline (the date is set once settings are loaded)
+  const timelineDate = document.getElementById('timeline-date');
+  timelineDate.addEventListener('change', loadTimeline);
+  document.getElementById('timeline-domain').addEventListener('change', loadTimeline);
+
+  // Set up sub-site rules
+  document.getElementById('rule-form').addEventListener('submit', addPathRule);
+
+  // Set up domain grouping
+  document.getElementById('grouping-mode').addEventListener('change', (e) => {
+    saveSettings({ domainGrouping: e.target.value });
+  });
+  document.getElementById('keep-separate-form').addEventListener('submit', addKeepSeparate);
+
+  // Set up limit groups
+  document.getElementById('group-form').addEventListener('submit', addLimitGroup);
+
+  // Set up focus sessions
+  document.getElementById('focus-enforcement').addEventListener('change', (e) => {
+    saveSettings({ focusEnforcement: e.target.value });
+  });
+  document.getElementById('focus-site-form').addEventListener('submit', addFocusSite);
+
+  // Set up limit periods
+  document.getElementById('week-start-day').addEventListener('change', (e) => {
+    saveSettings({ weekStartDay: parseInt(e.target.value, 10) });
+  });
+
+  // Set up limit warnings
+  document.getElementById('warning-form').addEventListener('submit', addWarningThreshold);
+
+  // Set up limit overrides
+  document.getElementById('snooze-form').addEventListener('submit', saveSnoozeSettings);
+
+  // Set up export
+  document.querySelectorAll('input[name="export-range"]').forEach(radio => {
+    radio.addEventListener('change', updateExportRangeInputs);
+  });
+  document.getElementById('export-start').value = getTodayKey();
+  document.getElementById('export-end').value = getTodayKey();
+  document.getElementById('export-csv').addEventListener('click', () => exportData('csv'));
+  document.getElementById('export-json').addEventListener('click', () => exportData('json'));
+
+  // Set up import
+  document.getElementById('import-file').addEventListener('change', previewImport);
+  document.getElementById('import-confirm').addEventListener('click', confirmImport);
+
   // Set up modal
   document.getElementById('modal-cancel').addEventListener('click', closeModal);
   document.getElementById('modal-save').addEventListener('click', saveLimit);
+  document.getElementById('modal-schedule-enabled').addEventListener('change', (e) => {
+    document.getElementById('modal-schedule-editor').style.display = e.target.checked ? 'block' : 'none';
+  });
+  document.getElementById('modal-add-window').addEventListener('click', () => {
+    addScheduleWindow(document.getElementById('modal-schedule-windows'));
+  });
 
   // Load initial data
   await loadData();
+  timelineDate.value = getTodayKey();
   updateDashboard();
+  await loadTimeline();
 
   // Refresh periodically
   setInterval(async () => {
     await loadData();
     updateDashboard();
+    await loadTimeline();
   }, 30000);
 });
 
 // Load data from background
 async function loadData() {
   try {
-    // Always load 30 days to have data available when switching periods
-    const days = 30;
+    // Load 30 days to have data available when switching periods, or the
+    // whole year for This Year
+    const days = currentPeriod === 'year' ? Math.max(30, getPeriodDayCount('year')) : 30;
     statsData = await chrome.runtime.sendMessage({ type: 'GET_STATS', days });
     limitsData = await chrome.runtime.sendMessage({ type: 'GET_LIMITS' });
+    const categoriesResponse = await chrome.runtime.sendMessage({ type: 'GET_CATEGORIES' });
+    categoriesData = categoriesResponse?.categories || {};
+    categoryNames = categoriesResponse?.names || [];
+    const ratingsResponse = await chrome.runtime.sendMessage({ type: 'GET_RATINGS' });
+    ratingsData = ratingsResponse?.ratings || {};
+    ratingDefaults = ratingsResponse?.defaults || {};
+    ratingNames = ratingsResponse?.names || [];
+    pathRules = await chrome.runtime.sendMessage({ type: 'GET_PATH_RULES' }) || [];
+    settingsData = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }) || {};
+    focusLog = await chrome.runtime.sendMessage({ type: 'GET_FOCUS_LOG' }) || [];
+    snoozes = await chrome.runtime.sendMessage({ type: 'GET_SNOOZES' }) || [];
+    limitGroups = await chrome.runtime.sendMessage({ type: 'GET_LIMIT_GROUPS' }) || [];
     console.log('[Dashboard] Loaded stats for', days, 'days:', statsData);
     console.log('[Dashboard] Daily data keys:', Object.keys(statsData?.dailyData || {}));
     console.log('[Dashboard] Loaded limits:', limitsData);
@@ -122,26 +239,37 @@ function updateDashboard() {
   }
 
   const { start, end } = getDateRange(currentPeriod);
-  const filteredData = filterDataByPeriod(statsData.dailyData, start, end);
+  const filteredData = filterDataByPeriod({ ...statsData.dailyData, ...statsData.monthlyData }, start, end);
+  const filteredMedia = filterDataByPeriod(statsData.mediaData || {}, start, end);
 
   console.log('[Dashboard] Period:', currentPeriod);
   console.log('[Dashboard] Date range:', start, 'to', end);
   console.log('[Dashboard] Filtered data:', filteredData);
 
-  updateSummaryCards(filteredData);
+  updateSummaryCards(filteredData, filteredMedia);
   updateTimeChart(filteredData);
+  updateScoreChart();
   updateSitesChart(filteredData);
-  updateTable(filteredData);
+  updateCategoryChart(filterDataByPeriod(statsData.categoryTotals || {}, start, end));
+  updateTable(filteredData, filteredMedia);
+  updateRulesTable();
+  updateGroupingSettings();
+  updateLimitGroups();
+  updateFocusSettings();
+  updateLimitPeriods();
+  updateWarningThresholds();
+  updateOverrides();
 }
 
 // Filter data by period
+// Monthly totals (YYYY-MM keys) are kept if their month overlaps the period.
 function filterDataByPeriod(dailyData, start, end) {
   const filtered = {};
   const startKey = formatDateKey(start);
   const endKey = formatDateKey(end);
 
   Object.entries(dailyData).forEach(([dateKey, data]) => {
-    if (dateKey >= startKey && dateKey <= endKey) {
+    if (dateKey >= startKey.slice(0, dateKey.length) && dateKey <= endKey.slice(0, dateKey.length)) {
       filtered[dateKey] = data;
     }
   });
@@ -153,6 +281,18 @@ function formatDateKey(date) {
   return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
+// Combine days into months, keyed YYYY-MM like the monthly totals
+function groupByMonth(filteredData) {
+  const months = {};
+  Object.entries(filteredData).forEach(([dateKey, dayData]) => {
+    const month = months[dateKey.slice(0, 7)] = months[dateKey.slice(0, 7)] || {};
+    Object.entries(dayData).forEach(([domain, time]) => {
+      month[domain] = (month[domain] || 0) + time;
+    });
+  });
+  return months;
+}
+
 // Aggregate data across days
 function aggregateData(filteredData) {
   const totals = {};
@@ -165,14 +305,20 @@ function aggregateData(filteredData) {
 }
 
 // Update summary cards
-function updateSummaryCards(filteredData) {
+function updateSummaryCards(filteredData, filteredMedia) {
   const aggregated = aggregateData(filteredData);
-  const days = Object.keys(filteredData).length || 1;
+  const days = Object.keys(filteredData).reduce((count, dateKey) => {
+    return count + (statsData.monthlyDays?.[dateKey] || 1);
+  }, 0) || 1;
 
   // Total time
   const totalTime = Object.values(aggregated).reduce((sum, t) => sum + t, 0);
   document.getElementById('total-time').textContent = formatDuration(totalTime);
 
+  // Passive media time, included in the total
+  const mediaTime = Object.values(aggregateData(filteredMedia)).reduce((sum, t) => sum + t, 0);
+  document.getElementById('media-time').textContent = formatDuration(mediaTime);
+
   // Sites visited
   const sitesVisited = Object.keys(aggregated).length;
   document.getElementById('sites-visited').textContent = sitesVisited;
@@ -181,6 +327,18 @@ function updateSummaryCards(filteredData) {
   const avgDaily = totalTime / days;
   document.getElementById('avg-daily').textContent = formatDuration(avgDaily);
 
+  // Focus score, with each day weighted by the time spent on it
+  let scoredTime = 0;
+  let weightedScore = 0;
+  Object.entries(filteredData).forEach(([dateKey, dayData]) => {
+    const score = statsData.focusScores?.[dateKey];
+    if (score === null || score === undefined) return;
+    const dayTime = Object.values(dayData).reduce((sum, t) => sum + t, 0);
+    scoredTime += dayTime;
+    weightedScore += score * dayTime;
+  });
+  document.getElementById('focus-score').textContent = scoredTime > 0 ? Math.round(weightedScore / scoredTime) : '-';
+
   // Limits exceeded
   let exceeded = 0;
   Object.entries(aggregated).forEach(([domain, time]) => {
@@ -201,6 +359,11 @@ function updateTimeChart(filteredData) {
 
   const ctx = canvas.getContext('2d');
 
+  // A year is charted by month
+  if (currentPeriod === 'year') {
+    filteredData = groupByMonth(filteredData);
+  }
+
   // Sort dates
   const sortedDates = Object.keys(filteredData).sort();
   console.log('[Dashboard] Time chart dates:', sortedDates);
@@ -272,6 +435,69 @@ function updateTimeChart(filteredData) {
   }
 }
 
+// Update the focus score trend, always over the last 30 days
+function updateScoreChart() {
+  const canvas = document.getElementById('score-chart');
+  if (!canvas) {
+    console.error('[Dashboard] score-chart canvas not found');
+    return;
+  }
+
+  const dateKeys = [];
+  const day = getDayStart();
+  day.setDate(day.getDate() - SCORE_TREND_DAYS + 1);
+  for (let i = 0; i < SCORE_TREND_DAYS; i++) {
+    dateKeys.push(formatDateKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+
+  // Days without any tracked time have no score and are left as gaps
+  const labels = dateKeys.map(d => formatDateLabel(d, 'month'));
+  const data = dateKeys.map(d => statsData.focusScores?.[d] ?? null);
+
+  if (scoreChart) {
+    scoreChart.destroy();
+  }
+
+  try {
+    scoreChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Focus score',
+          data,
+          borderColor: '#198754',
+          backgroundColor: 'rgba(25, 135, 84, 0.1)',
+          fill: true,
+          tension: 0.3,
+          spanGaps: true,
+          pointRadius: 4,
+          pointBackgroundColor: '#198754',
+          pointHoverRadius: 6
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false
+          }
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 100
+          }
+        }
+      }
+    });
+  } catch (e) {
+    console.error('[Dashboard] Error creating score chart:', e);
+  }
+}
+
 // Update top sites chart
 function updateSitesChart(filteredData) {
   const canvas = document.getElementById('sites-chart');
@@ -366,14 +592,249 @@ function updateSitesChart(filteredData) {
   }
 }
 
+// Update category doughnut chart
+function updateCategoryChart(filteredTotals) {
+  const canvas = document.getElementById('category-chart');
+  if (!canvas) {
+    console.error('[Dashboard] category-chart canvas not found');
+    return;
+  }
+
+  const ctx = canvas.getContext('2d');
+  const aggregated = aggregateData(filteredTotals);
+  const sorted = Object.entries(aggregated)
+    .filter(([, time]) => time > 0)
+    .sort(([, a], [, b]) => b - a);
+
+  if (categoryChart) {
+    categoryChart.destroy();
+    categoryChart = null;
+  }
+
+  if (sorted.length === 0) {
+    console.log('[Dashboard] No categories for chart');
+    return;
+  }
+
+  try {
+    categoryChart = new Chart(ctx, {
+      type: 'doughnut',
+      data: {
+        labels: sorted.map(([category]) => category),
+        datasets: [{
+          data: sorted.map(([, time]) => time / 60000),
+          backgroundColor: sorted.map(([category]) => CATEGORY_COLORS[category] || '#adb5bd'),
+          borderWidth: 2
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: 'right'
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.label}: ${formatDuration(context.raw * 60000)}`
+            }
+          }
+        }
+      }
+    });
+  } catch (e) {
+    console.error('[Dashboard] Error creating category chart:', e);
+  }
+}
+
+// Resolve category for a domain, walking up parent domains
+function getCategoryForDomain(domain) {
+  if (categoriesData[domain]) return categoriesData[domain];
+
+  // Sub-sites (youtube.com/shorts) fall back to their domain's category
+  const parts = domain.split('/')[0].split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (categoriesData[candidate]) return categoriesData[candidate];
+  }
+  return 'Other';
+}
+
+// Resolve the productivity rating for a domain: rated directly, through a
+// parent domain, or by its category
+function getRatingForDomain(domain) {
+  if (ratingsData[domain]) return ratingsData[domain];
+
+  const parts = domain.split('/')[0].split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (ratingsData[candidate]) return ratingsData[candidate];
+  }
+  return ratingDefaults[getCategoryForDomain(domain)] || 'neutral';
+}
+
+// Load and render the session timeline for the selected day
+async function loadTimeline() {
+  const dateKey = document.getElementById('timeline-date').value || getTodayKey();
+  const domain = document.getElementById('timeline-domain').value || null;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_SESSIONS',
+      startDate: dateKey,
+      endDate: dateKey,
+      domain
+    });
+    renderTimeline(dateKey, response?.sessions || []);
+  } catch (e) {
+    console.error('Error loading timeline:', e);
+  }
+}
+
+function renderTimeline(dateKey, sessions) {
+  const track = document.getElementById('timeline-track');
+  const legend = document.getElementById('timeline-legend');
+  const dayStartDate = new Date(`${dateKey}T00:00:00`);
+  dayStartDate.setHours(settingsData.dayStartHour || 0);
+  const dayStart = dayStartDate.getTime();
+  const dayLength = 24 * 60 * 60 * 1000;
+
+  updateTimelineAxis();
+
+  // Assign colors in order of total time so the busiest sites stay stable
+  const totals = {};
+  sessions.forEach(({ domain, start, end }) => {
+    totals[domain] = (totals[domain] || 0) + (end - start);
+  });
+  const domains = Object.entries(totals).sort(([, a], [, b]) => b - a).map(([domain]) => domain);
+  const colorFor = (domain) => TIMELINE_COLORS[domains.indexOf(domain) % TIMELINE_COLORS.length];
+
+  updateTimelineDomainOptions(sessions);
+
+  // Site keys can hold sub-site names typed by the user, so they are set as text
+  track.replaceChildren();
+  sessions.forEach(({ domain, start, end }) => {
+    const clippedStart = Math.max(start, dayStart);
+    const clippedEnd = Math.min(end, dayStart + dayLength);
+    if (clippedEnd <= clippedStart) return;
+
+    const block = document.createElement('div');
+    block.className = 'timeline-block';
+    block.style.left = `${((clippedStart - dayStart) / dayLength) * 100}%`;
+    block.style.width = `${((clippedEnd - clippedStart) / dayLength) * 100}%`;
+    block.style.background = colorFor(domain);
+    block.title = `${domain}: ${formatClock(start)}–${formatClock(end)} (${formatDuration(end - start)})`;
+    track.appendChild(block);
+  });
+
+  if (domains.length === 0) {
+    legend.innerHTML = '<li class="empty-state">No sessions recorded for this day</li>';
+    return;
+  }
+
+  legend.innerHTML = domains.slice(0, 10).map(domain => `
+    <li>
+      <span class="swatch" style="background:${colorFor(domain)}"></span>
+      <span class="legend-name"></span>
+      <strong>${formatDuration(totals[domain])}</strong>
+    </li>
+  `).join('');
+  legend.querySelectorAll('.legend-name').forEach((nameEl, index) => {
+    nameEl.textContent = truncateDomain(domains[index], 30);
+    nameEl.title = domains[index];
+  });
+}
+
+// Keep the domain filter in sync with the sites seen in the timeline
+function updateTimelineDomainOptions(sessions) {
+  const select = document.getElementById('timeline-domain');
+  if (select.value) return;
+
+  const domains = [...new Set(sessions.map(session => session.domain))].sort();
+  select.replaceChildren(new Option('All sites', ''), ...domains.map(domain => new Option(domain, domain)));
+}
+
+// Label the timeline axis from the hour days start at
+function updateTimelineAxis() {
+  const dayStartHour = settingsData.dayStartHour || 0;
+  document.querySelectorAll('#timeline-axis span').forEach((label, i) => {
+    label.textContent = `${String((dayStartHour + i * 6) % 24).padStart(2, '0')}:00`;
+  });
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
 function truncateDomain(domain, maxLength = 25) {
   if (!domain) return '';
   if (domain.length <= maxLength) return domain;
   return domain.substring(0, maxLength - 3) + '...';
 }
 
+// Schedule editor helpers
+const WEEKDAYS = [[1, 'M'], [2, 'T'], [3, 'W'], [4, 'T'], [5, 'F'], [6, 'S'], [0, 'S']];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_WINDOW = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+// Alignment of limits that don't set one (DEFAULT_ALIGNMENT in constants.js)
+const DEFAULT_ALIGNMENT = 'rolling';
+
+function addScheduleWindow(container, slot = DEFAULT_WINDOW) {
+  const row = document.createElement('div');
+  row.className = 'schedule-window';
+  row.innerHTML = `
+    ${WEEKDAYS.map(([day, label]) => `
+      <button type="button" class="day-btn${slot.days.includes(day) ? ' active' : ''}" data-day="${day}">${label}</button>
+    `).join('')}
+    <input type="time" class="window-start" value="${slot.start}">
+    <span>–</span>
+    <input type="time" class="window-end" value="${slot.end}">
+    <button type="button" class="remove-window" title="Remove window">&times;</button>
+  `;
+
+  row.querySelectorAll('.day-btn').forEach(btn => {
+    btn.addEventListener('click', () => btn.classList.toggle('active'));
+  });
+  row.querySelector('.remove-window').addEventListener('click', () => row.remove());
+
+  container.appendChild(row);
+}
+
+function renderScheduleWindows(container, schedule) {
+  container.innerHTML = '';
+  (schedule?.length ? schedule : [DEFAULT_WINDOW]).forEach(slot => addScheduleWindow(container, slot));
+}
+
+function readScheduleWindows(container) {
+  return [...container.querySelectorAll('.schedule-window')]
+    .map(row => ({
+      days: [...row.querySelectorAll('.day-btn.active')].map(btn => Number(btn.dataset.day)),
+      start: row.querySelector('.window-start').value,
+      end: row.querySelector('.window-end').value
+    }))
+    .filter(slot => slot.days.length > 0 && slot.start && slot.end);
+}
+
+function formatDays(days) {
+  const sorted = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+  const key = sorted.join(',');
+  if (key === '1,2,3,4,5,6,0') return 'Every day';
+  if (key === '1,2,3,4,5') return 'Mon–Fri';
+  if (key === '6,0') return 'Weekends';
+  return sorted.map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
+function formatSchedule(schedule) {
+  return schedule.map(slot => `${formatDays(slot.days)} ${slot.start}–${slot.end}`).join('; ');
+}
+
 // Format period for display
-function formatPeriodShort(period) {
+function formatPeriodShort(period, alignment = 'rolling') {
+  if (alignment === 'rolling') {
+    if (period === 'week') return '/7 days';
+    if (period === 'month') return '/30 days';
+  }
+
   switch (period) {
     case 'day': return '/day';
     case 'week': return '/week';
@@ -383,8 +844,9 @@ function formatPeriodShort(period) {
 }
 
 // Update table
-function updateTable(filteredData) {
+function updateTable(filteredData, filteredMedia) {
   const aggregated = aggregateData(filteredData);
+  const mediaAggregated = aggregateData(filteredMedia);
   const tbody = document.getElementById('sites-table-body');
 
   console.log('[Dashboard] Table aggregated data:', aggregated);
@@ -396,7 +858,7 @@ function updateTable(filteredData) {
   if (sorted.length === 0) {
     tbody.innerHTML = `
       <tr>
-        <td colspan="4" class="empty-state">No data for this period</td>
+        <td colspan="6" class="empty-state">No data for this period</td>
       </tr>
     `;
     return;
@@ -412,28 +874,591 @@ function updateTable(filteredData) {
     if (limit) {
       const limitMinutes = Math.round(limit / 60000);
       if (exceeded) {
-        limitCell = `<span class="limit-exceeded">${limitMinutes}m${formatPeriodShort(period)} (exceeded)</span>`;
+        limitCell = `<span class="limit-exceeded">${limitMinutes}m${formatPeriodShort(period, limitConfig.alignment)} (exceeded)</span>`;
       } else {
-        limitCell = `<span class="limit-value">${limitMinutes}m${formatPeriodShort(period)}</span>`;
+        limitCell = `<span class="limit-value">${limitMinutes}m${formatPeriodShort(period, limitConfig.alignment)}</span>`;
+      }
+      if (limitConfig.schedule?.length) {
+        limitCell += `<span class="limit-schedule">${formatSchedule(limitConfig.schedule)}</span>`;
+      }
+      if (limitConfig.enforcement === 'block') {
+        limitCell += '<span class="limit-schedule">Blocks when exceeded</span>';
       }
     } else {
       limitCell = `<span class="limit-value">-</span>`;
     }
 
+    const category = getCategoryForDomain(domain);
+    const categoryOptions = categoryNames.map(name =>
+      `<option value="${name}"${name === category ? ' selected' : ''}>${name}</option>`
+    ).join('');
+
+    const rating = getRatingForDomain(domain);
+    const ratingOptions = ratingNames.map(name =>
+      `<option value="${name}"${name === rating ? ' selected' : ''}>${name[0].toUpperCase()}${name.slice(1)}</option>`
+    ).join('');
+
     return `
-      <tr data-domain="${domain}">
-        <td class="site-name" title="${domain}">${truncateDomain(domain, 40)}</td>
-        <td class="time-value">${formatDuration(time)}</td>
+      <tr>
+        <td class="site-name"></td>
+        <td>
+          <select class="category-select site-category">
+            ${categoryOptions}
+          </select>
+        </td>
+        <td>
+          <select class="category-select rating-select rating-${rating}">
+            ${ratingOptions}
+          </select>
+        </td>
+        <td class="time-value">
+          ${formatDuration(time)}
+          ${mediaAggregated[domain]
+            ? `<span class="time-breakdown">${formatDuration(time - mediaAggregated[domain])} active · ${formatDuration(mediaAggregated[domain])} watched</span>`
+            : ''}
+        </td>
         <td>${limitCell}</td>
         <td>
-          <button class="action-btn set-limit" onclick="openLimitModal('${domain}')">
+          <button class="action-btn set-limit">
             ${limit ? 'Edit' : 'Set'} Limit
           </button>
-          ${limit ? `<button class="action-btn remove-limit" onclick="removeLimitForDomain('${domain}')">Remove</button>` : ''}
+          ${limit ? '<button class="action-btn remove-limit">Remove</button>' : ''}
         </td>
       </tr>
     `;
   }).join('');
+
+  // Site keys can hold sub-site names typed by the user, so they are set as
+  // text and the row's handlers are bound here rather than in the markup
+  tbody.querySelectorAll('tr').forEach((row, index) => {
+    const [domain] = sorted[index];
+    row.dataset.domain = domain;
+
+    const nameEl = row.querySelector('.site-name');
+    nameEl.textContent = truncateDomain(domain, 40);
+    nameEl.title = domain;
+
+    row.querySelector('.site-category').addEventListener('change', event => setCategoryForDomain(domain, event.target.value));
+    row.querySelector('.rating-select').addEventListener('change', event => setRatingForDomain(domain, event.target.value));
+    row.querySelector('.set-limit').addEventListener('click', () => openLimitModal(domain));
+    row.querySelector('.remove-limit')?.addEventListener('click', () => removeLimitForDomain(domain));
+  });
+}
+
+// Update sub-site rules table
+function updateRulesTable() {
+  const tbody = document.getElementById('rules-table-body');
+
+  if (pathRules.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="4" class="empty-state">No sub-site rules</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = pathRules.map(() => `
+    <tr>
+      <td class="site-name"></td>
+      <td class="rule-host"></td>
+      <td><code></code></td>
+      <td>
+        <button class="action-btn remove-limit">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+
+  // Rules are typed by the user, so they are set as text
+  tbody.querySelectorAll('tr').forEach((row, index) => {
+    const rule = pathRules[index];
+    row.querySelector('.site-name').textContent = `${rule.domain}/${rule.name}`;
+    row.querySelector('.rule-host').textContent = rule.domain;
+    row.querySelector('code').textContent = rule.pattern;
+    row.querySelector('.remove-limit').addEventListener('click', () => removePathRule(rule.id));
+  });
+}
+
+async function addPathRule(event) {
+  event.preventDefault();
+
+  const domainEl = document.getElementById('rule-domain');
+  const patternEl = document.getElementById('rule-pattern');
+  const nameEl = document.getElementById('rule-name');
+
+  const rule = {
+    domain: domainEl.value.trim().toLowerCase().replace(/^www\./, ''),
+    pattern: patternEl.value.trim(),
+    name: nameEl.value.trim().replace(/\//g, '-')
+  };
+
+  if (!rule.domain || !rule.pattern || !rule.name) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SET_PATH_RULE', rule });
+    if (response?.error) {
+      console.error('Error adding path rule:', response.error);
+      return;
+    }
+
+    domainEl.value = '';
+    patternEl.value = '';
+    nameEl.value = '';
+    await loadData();
+    updateDashboard();
+  } catch (e) {
+    console.error('Error adding path rule:', e);
+  }
+}
+
+async function removePathRule(id) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'REMOVE_PATH_RULE', id });
+    pathRules = pathRules.filter(rule => rule.id !== id);
+    updateRulesTable();
+  } catch (e) {
+    console.error('Error removing path rule:', e);
+  }
+}
+
+// Update domain grouping controls
+function updateGroupingSettings() {
+  document.getElementById('grouping-mode').value = settingsData.domainGrouping || 'host';
+
+  const list = document.getElementById('keep-separate-list');
+  const hosts = settingsData.keepSeparate || [];
+
+  if (hosts.length === 0) {
+    list.innerHTML = '<li class="empty-state">No exceptions</li>';
+    return;
+  }
+
+  list.innerHTML = hosts.map(host => `
+    <li>
+      ${host}
+      <button title="Remove" onclick="removeKeepSeparate('${host}')">&times;</button>
+    </li>
+  `).join('');
+}
+
+async function saveSettings(changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: changes });
+    if (response?.settings) {
+      settingsData = response.settings;
+    }
+    await loadData();
+    updateDashboard();
+    await loadTimeline();
+  } catch (e) {
+    console.error('Error saving settings:', e);
+  }
+}
+
+async function addKeepSeparate(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('keep-separate-input');
+  const host = input.value.trim().toLowerCase();
+  const hosts = settingsData.keepSeparate || [];
+  if (!host || hosts.includes(host)) return;
+
+  input.value = '';
+  await saveSettings({ keepSeparate: [...hosts, host] });
+}
+
+async function removeKeepSeparate(host) {
+  const hosts = (settingsData.keepSeparate || []).filter(h => h !== host);
+  await saveSettings({ keepSeparate: hosts });
+}
+
+// Update limit groups table
+function updateLimitGroups() {
+  const tbody = document.getElementById('groups-table-body');
+
+  if (limitGroups.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="5" class="empty-state">No limit groups</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = limitGroups.map(group => `
+    <tr>
+      <td class="site-name"></td>
+      <td class="group-domains"></td>
+      <td>${formatDuration(group.periodTime)}</td>
+      <td>
+        <span class="${group.limitExceeded ? 'limit-exceeded' : 'limit-value'}">${Math.round(group.limit / 60000)}m${formatPeriodShort(group.period, group.alignment)}${group.limitExceeded ? ' (exceeded)' : ''}</span>
+        ${group.enforcement === 'block' ? '<span class="limit-schedule">Blocks when exceeded</span>' : ''}
+      </td>
+      <td>
+        <button class="action-btn remove-limit" onclick="removeLimitGroup('${group.id}')">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+
+  // Group names and sites are user text, so they are set as text
+  tbody.querySelectorAll('tr').forEach((row, index) => {
+    row.querySelector('.site-name').textContent = limitGroups[index].name;
+    row.querySelector('.group-domains').textContent = limitGroups[index].domains.join(', ');
+  });
+}
+
+async function addLimitGroup(event) {
+  event.preventDefault();
+
+  const nameEl = document.getElementById('group-name');
+  const domainsEl = document.getElementById('group-domains');
+  const minutesEl = document.getElementById('group-minutes');
+  const domains = domainsEl.value
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+  const minutes = parseInt(minutesEl.value, 10);
+
+  if (domains.length === 0 || isNaN(minutes) || minutes < 1) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_LIMIT_GROUP',
+      group: {
+        name: nameEl.value.trim(),
+        domains,
+        limit: minutes * 60 * 1000,
+        period: document.getElementById('group-period').value,
+        enforcement: document.getElementById('group-enforcement').value,
+        alignment: document.getElementById('group-alignment').value
+      }
+    });
+
+    if (response?.error) {
+      console.error('Error adding limit group:', response.error);
+      return;
+    }
+
+    nameEl.value = '';
+    domainsEl.value = '';
+    minutesEl.value = '';
+    await loadData();
+    updateDashboard();
+  } catch (e) {
+    console.error('Error adding limit group:', e);
+  }
+}
+
+async function removeLimitGroup(id) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'REMOVE_LIMIT_GROUP', id });
+    limitGroups = limitGroups.filter(group => group.id !== id);
+    updateLimitGroups();
+  } catch (e) {
+    console.error('Error removing limit group:', e);
+  }
+}
+
+// Update focus session controls and log
+function updateFocusSettings() {
+  document.getElementById('focus-enforcement').value = settingsData.focusEnforcement || 'block';
+
+  const list = document.getElementById('focus-site-list');
+  const sites = settingsData.focusBlockList || [];
+
+  list.innerHTML = sites.length === 0
+    ? '<li class="empty-state">No sites blocked during focus</li>'
+    : sites.map(site => `
+      <li>
+        ${site}
+        <button title="Remove" onclick="removeFocusSite('${site}')">&times;</button>
+      </li>
+    `).join('');
+
+  const tbody = document.getElementById('focus-log-body');
+
+  if (focusLog.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="4" class="empty-state">No focus sessions yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  // Most recent first
+  tbody.innerHTML = [...focusLog].reverse().slice(0, 20).map(entry => `
+    <tr>
+      <td>${new Date(entry.startedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${formatClock(entry.startedAt)}</td>
+      <td>${entry.plannedMinutes}m</td>
+      <td>${formatDuration(entry.endedAt - entry.startedAt)}</td>
+      <td class="focus-${entry.status}">${entry.status === 'completed' ? 'Completed' : 'Abandoned'}</td>
+    </tr>
+  `).join('');
+}
+
+async function addFocusSite(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('focus-site-input');
+  const site = input.value.trim().toLowerCase().replace(/^www\./, '');
+  const sites = settingsData.focusBlockList || [];
+  if (!site || sites.includes(site)) return;
+
+  input.value = '';
+  await saveSettings({ focusBlockList: [...sites, site] });
+}
+
+async function removeFocusSite(site) {
+  const sites = (settingsData.focusBlockList || []).filter(s => s !== site);
+  await saveSettings({ focusBlockList: sites });
+}
+
+// Update limit period settings
+function updateLimitPeriods() {
+  document.getElementById('week-start-day').value = String(settingsData.weekStartDay ?? 1);
+}
+
+// Update limit warning thresholds
+function updateWarningThresholds() {
+  const list = document.getElementById('warning-list');
+  const thresholds = settingsData.warningThresholds || [];
+
+  if (thresholds.length === 0) {
+    list.innerHTML = '<li class="empty-state">No warnings</li>';
+    return;
+  }
+
+  list.innerHTML = thresholds.map((threshold, index) => `
+    <li>
+      ${threshold.type === 'percent' ? `${threshold.value}% used` : `${threshold.value}m left`}
+      <button title="Remove" onclick="removeWarningThreshold(${index})">&times;</button>
+    </li>
+  `).join('');
+}
+
+// Parse "80%" as percent used and "5m" (or "5") as minutes left
+function parseWarningThreshold(text) {
+  const match = text.trim().toLowerCase().match(/^(\d+)\s*(%|m|min)?(?:\s+(?:used|left))?$/);
+  if (!match) return null;
+
+  const value = parseInt(match[1], 10);
+  if (match[2] === '%') {
+    return value > 0 && value < 100 ? { type: 'percent', value } : null;
+  }
+  return value > 0 ? { type: 'remaining', value } : null;
+}
+
+async function addWarningThreshold(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('warning-input');
+  const errorEl = document.getElementById('warning-error');
+  const threshold = parseWarningThreshold(input.value);
+
+  errorEl.style.display = threshold ? 'none' : 'block';
+  if (!threshold) return;
+
+  const thresholds = settingsData.warningThresholds || [];
+  if (thresholds.some(t => t.type === threshold.type && t.value === threshold.value)) return;
+
+  input.value = '';
+  await saveSettings({ warningThresholds: [...thresholds, threshold] });
+}
+
+async function removeWarningThreshold(index) {
+  const thresholds = (settingsData.warningThresholds || []).filter((_, i) => i !== index);
+  await saveSettings({ warningThresholds: thresholds });
+}
+
+// Update snooze settings and the list of snoozes
+function updateOverrides() {
+  const minutesEl = document.getElementById('snooze-minutes');
+  const countEl = document.getElementById('snoozes-per-period');
+  // Don't overwrite values while they're being edited
+  if (document.activeElement !== minutesEl && document.activeElement !== countEl) {
+    minutesEl.value = settingsData.snoozeMinutes ?? 5;
+    countEl.value = settingsData.snoozesPerPeriod ?? 3;
+  }
+
+  const tbody = document.getElementById('snooze-table-body');
+
+  if (snoozes.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="4" class="empty-state">No snoozes used</td>
+      </tr>
+    `;
+    return;
+  }
+
+  const now = Date.now();
+  tbody.innerHTML = [...snoozes].reverse().slice(0, 20).map(snooze => `
+    <tr>
+      <td class="site-name">${snooze.domain}</td>
+      <td>${new Date(snooze.at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${formatClock(snooze.at)}</td>
+      <td>${formatDuration(snooze.until - snooze.at)}</td>
+      <td>${snooze.until > now ? `Active (${formatDuration(snooze.until - now)} left)` : 'Expired'}</td>
+    </tr>
+  `).join('');
+}
+
+async function saveSnoozeSettings(event) {
+  event.preventDefault();
+
+  const snoozeMinutes = parseInt(document.getElementById('snooze-minutes').value, 10);
+  const snoozesPerPeriod = parseInt(document.getElementById('snoozes-per-period').value, 10);
+  if (isNaN(snoozeMinutes) || snoozeMinutes < 1 || isNaN(snoozesPerPeriod) || snoozesPerPeriod < 0) return;
+
+  await saveSettings({ snoozeMinutes, snoozesPerPeriod });
+}
+
+// Enable custom range inputs only when selected
+function updateExportRangeInputs() {
+  const custom = document.querySelector('input[name="export-range"]:checked').value === 'custom';
+  document.getElementById('export-start').disabled = !custom;
+  document.getElementById('export-end').disabled = !custom;
+}
+
+function getExportRange() {
+  const custom = document.querySelector('input[name="export-range"]:checked').value === 'custom';
+  if (custom) {
+    const startDate = document.getElementById('export-start').value;
+    const endDate = document.getElementById('export-end').value;
+    return startDate <= endDate ? { startDate, endDate } : { startDate: endDate, endDate: startDate };
+  }
+
+  const { start, end } = getDateRange(currentPeriod);
+  return { startDate: formatDateKey(start), endDate: formatDateKey(end) };
+}
+
+async function exportData(format) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXPORT_DATA',
+      format,
+      ...getExportRange()
+    });
+
+    if (!response || response.error) {
+      console.error('Error exporting data:', response?.error);
+      return;
+    }
+
+    downloadFile(response.filename, response.content, response.mimeType);
+  } catch (e) {
+    console.error('Error exporting data:', e);
+  }
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Import state
+let importBackup = null;
+
+function setImportStatus(message, type = '') {
+  const status = document.getElementById('import-status');
+  status.textContent = message;
+  status.className = `import-status ${type}`;
+}
+
+async function previewImport(event) {
+  const file = event.target.files[0];
+  const previewEl = document.getElementById('import-preview');
+  const controlsEl = document.getElementById('import-controls');
+
+  importBackup = null;
+  previewEl.style.display = 'none';
+  controlsEl.style.display = 'none';
+  setImportStatus('');
+
+  if (!file) return;
+
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    setImportStatus('This file is not valid JSON.', 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_IMPORT', backup });
+    if (!response?.valid) {
+      setImportStatus(`Cannot import: ${(response?.errors || [response?.error]).join('; ')}`, 'error');
+      return;
+    }
+
+    const { preview } = response;
+    const topDomains = preview.domains.slice(0, 8);
+    const more = preview.domains.length - topDomains.length;
+
+    previewEl.innerHTML = `
+      <div><strong>${preview.dayCount}</strong> days${preview.firstDate ? ` from <strong>${preview.firstDate}</strong> to <strong>${preview.lastDate}</strong>` : ''}</div>
+      ${preview.monthCount ? `<div>Plus <strong>${preview.monthCount}</strong> months of older monthly totals</div>` : ''}
+      <div><strong>${preview.domains.length}</strong> sites, <strong>${preview.limitCount}</strong> limits</div>
+      ${topDomains.length ? `<ul>${topDomains.map(() => '<li class="preview-site"></li>').join('')}${more > 0 ? `<li>and ${more} more</li>` : ''}</ul>` : ''}
+      ${preview.overlappingDates.length ? `<div class="warning">${preview.overlappingDates.length} days already have data.</div>` : ''}
+      ${preview.overlappingMonths.length ? `<div class="warning">Monthly totals for ${preview.overlappingMonths.join(', ')} overlap daily data and will be skipped.</div>` : ''}
+      ${preview.rolledUpDates.length ? `<div class="warning">${preview.rolledUpDates.length} days are already in monthly totals and will be skipped.</div>` : ''}
+      ${preview.conflictingLimits.length ? '<div class="warning preview-conflicts"></div>' : ''}
+    `;
+    // Site keys come from the imported file, so they are set as text
+    previewEl.querySelectorAll('.preview-site').forEach((item, index) => {
+      item.textContent = topDomains[index];
+    });
+    if (preview.conflictingLimits.length) {
+      previewEl.querySelector('.preview-conflicts').textContent =
+        `Different limits for: ${preview.conflictingLimits.join(', ')}`;
+    }
+    previewEl.style.display = 'block';
+    controlsEl.style.display = 'flex';
+    importBackup = backup;
+  } catch (e) {
+    console.error('Error previewing import:', e);
+    setImportStatus('Could not read this backup.', 'error');
+  }
+}
+
+async function confirmImport() {
+  if (!importBackup) return;
+
+  const strategy = document.getElementById('import-strategy').value;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_BACKUP',
+      backup: importBackup,
+      strategy
+    });
+
+    if (!response?.success) {
+      setImportStatus(`Import failed: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    setImportStatus(`Imported ${response.days} days and ${response.limits} limits.`, 'success');
+    importBackup = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-preview').style.display = 'none';
+    document.getElementById('import-controls').style.display = 'none';
+
+    await loadData();
+    updateDashboard();
+    await loadTimeline();
+  } catch (e) {
+    console.error('Error importing backup:', e);
+    setImportStatus('Import failed.', 'error');
+  }
 }
 
 // Filter table by search
@@ -467,6 +1492,14 @@ function openLimitModal(domain) {
     document.getElementById('modal-limit-period').value = 'day';
   }
 
+  document.getElementById('modal-limit-enforcement').value = existingLimit?.enforcement || 'overlay';
+  document.getElementById('modal-limit-alignment').value = existingLimit?.alignment || DEFAULT_ALIGNMENT;
+
+  const schedule = existingLimit?.schedule || null;
+  document.getElementById('modal-schedule-enabled').checked = !!schedule?.length;
+  document.getElementById('modal-schedule-editor').style.display = schedule?.length ? 'block' : 'none';
+  renderScheduleWindows(document.getElementById('modal-schedule-windows'), schedule);
+
   document.getElementById('limit-modal').style.display = 'flex';
 }
 
@@ -487,16 +1520,24 @@ async function saveLimit() {
   }
 
   const milliseconds = minutes * 60 * 1000;
+  const schedule = document.getElementById('modal-schedule-enabled').checked
+    ? readScheduleWindows(document.getElementById('modal-schedule-windows'))
+    : [];
+  const enforcement = document.getElementById('modal-limit-enforcement').value;
+  const alignment = document.getElementById('modal-limit-alignment').value;
 
   try {
     await chrome.runtime.sendMessage({
       type: 'SET_LIMIT',
       domain: modalDomain,
       limit: milliseconds,
-      period: period
+      period: period,
+      schedule,
+      enforcement,
+      alignment
     });
 
-    limitsData[modalDomain] = { limit: milliseconds, period };
+    limitsData = await chrome.runtime.sendMessage({ type: 'GET_LIMITS' });
     closeModal();
     updateDashboard();
   } catch (e) {
@@ -518,6 +1559,43 @@ async function removeLimitForDomain(domain) {
   }
 }
 
+async function setCategoryForDomain(domain, category) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'SET_CATEGORY',
+      domain,
+      category
+    });
+
+    categoriesData[domain] = category;
+    await loadData();
+    updateDashboard();
+  } catch (e) {
+    console.error('Error setting category:', e);
+  }
+}
+
+async function setRatingForDomain(domain, rating) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_RATING',
+      domain,
+      rating
+    });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+
+    ratingsData[domain] = rating;
+    await loadData();
+    updateDashboard();
+  } catch (e) {
+    console.error('Error setting rating:', e);
+  }
+}
+
 // Make functions globally available for onclick handlers
-window.openLimitModal = openLimitModal;
-window.removeLimitForDomain = removeLimitForDomain;
+window.removeKeepSeparate = removeKeepSeparate;
+window.removeFocusSite = removeFocusSite;
+window.removeLimitGroup = removeLimitGroup;
+window.removeWarningThreshold = removeWarningThreshold;
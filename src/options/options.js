@@ -0,0 +1,129 @@
+// Options page for tracker settings
+// Each control is bound to the setting named in its data-setting attribute.
+
+const SETTINGS_KEY = 'meta';
+const SAVED_MESSAGE_MS = 2000;
+
+let settingsData = {};
+let savedTimeout = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  document.querySelectorAll('[data-setting]').forEach(control => {
+    control.addEventListener('change', () => {
+      saveSettings({ [control.dataset.setting]: readControl(control) });
+    });
+  });
+  document.getElementById('exclusion-form').addEventListener('submit', addExclusion);
+
+  // Stay in sync with changes made elsewhere, e.g. another options tab
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SETTINGS_KEY]) {
+      loadSettings();
+    }
+  });
+
+  await loadSettings();
+});
+
+// Load settings from background
+async function loadSettings() {
+  try {
+    settingsData = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }) || {};
+    updateControls();
+  } catch (e) {
+    console.error('Error loading settings:', e);
+  }
+}
+
+// Get a control's value: checkboxes are flags, numeric options are numbers
+function readControl(control) {
+  if (control.type === 'checkbox') return control.checked;
+  return /^\d+$/.test(control.value) ? parseInt(control.value, 10) : control.value;
+}
+
+// Show the current value of every setting
+function updateControls() {
+  document.querySelectorAll('[data-setting]').forEach(control => {
+    const value = settingsData[control.dataset.setting];
+    if (value === undefined) return;
+    if (control.type === 'checkbox') {
+      control.checked = Boolean(value);
+    } else {
+      control.value = String(value);
+    }
+  });
+  updateExclusions();
+}
+
+// Show the exclusion list
+function updateExclusions() {
+  const list = document.getElementById('exclusion-list');
+  const sites = settingsData.excludedSites || [];
+
+  if (sites.length === 0) {
+    list.innerHTML = '<li class="empty-state">Every site is tracked</li>';
+    return;
+  }
+
+  list.innerHTML = sites.map(site => `
+    <li>
+      ${site}
+      <button title="Remove" onclick="removeExclusion('${site}')">&times;</button>
+    </li>
+  `).join('');
+}
+
+async function addExclusion(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('exclusion-input');
+  let site = input.value.trim().toLowerCase();
+  // Accept pasted URLs by keeping just the host
+  if (site.includes('://')) {
+    try {
+      site = new URL(site).hostname;
+    } catch {
+      return;
+    }
+  }
+  const sites = settingsData.excludedSites || [];
+  if (!site || sites.includes(site)) return;
+
+  input.value = '';
+  await saveSettings({ excludedSites: [...sites, site] });
+}
+
+async function removeExclusion(site) {
+  const sites = (settingsData.excludedSites || []).filter(s => s !== site);
+  await saveSettings({ excludedSites: sites });
+}
+
+async function saveSettings(changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: changes });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    if (response?.settings) {
+      settingsData = response.settings;
+    }
+    updateControls();
+    showSaveStatus('Saved');
+  } catch (e) {
+    console.error('Error saving settings:', e);
+    showSaveStatus('Could not save settings');
+  }
+}
+
+function showSaveStatus(message) {
+  const status = document.getElementById('save-status');
+  status.textContent = message;
+  clearTimeout(savedTimeout);
+  savedTimeout = setTimeout(() => {
+    status.textContent = '';
+  }, SAVED_MESSAGE_MS);
+}
+
+// Expose functions for inline handlers
+window.removeExclusion = removeExclusion;
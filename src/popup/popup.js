@@ -40,6 +40,21 @@ function extractDomain(url) {
   }
 }
 
+// Check if a host is on the exclusion list
+// Plain hosts cover their subdomains; * and ? patterns must match the whole host
+function isExcludedHost(host, patterns) {
+  const target = host.replace(/^\[|\]$/g, '').toLowerCase();
+  return patterns.some(pattern => {
+    const rule = pattern.trim().replace(/^\[|\]$/g, '').toLowerCase();
+    if (!rule) return false;
+    if (/[*?]/.test(rule)) {
+      const source = rule.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      return new RegExp(`^${source}$`).test(target);
+    }
+    return target === rule || target.endsWith(`.${rule}`);
+  });
+}
+
 // Truncate domain for display
 function truncateDomain(domain, maxLength = 30) {
   if (!domain) return '';
@@ -54,20 +69,112 @@ function getTopDomains(data, n = 5) {
     .slice(0, n);
 }
 
-// Get today's date key
-function getTodayKey() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+// Format a reset time, with the day when it isn't today
+function formatResetTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  const daysAway = (timestamp - Date.now()) / (24 * 60 * 60 * 1000);
+  const day = daysAway < 6
+    ? date.toLocaleDateString('en-US', { weekday: 'short' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${day} ${time}`;
+}
+
+// Schedule editor helpers
+const WEEKDAYS = [[1, 'M'], [2, 'T'], [3, 'W'], [4, 'T'], [5, 'F'], [6, 'S'], [0, 'S']];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_WINDOW = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+// Alignment of limits that don't set one (DEFAULT_ALIGNMENT in constants.js)
+const DEFAULT_ALIGNMENT = 'rolling';
+
+function addScheduleWindow(container, slot = DEFAULT_WINDOW) {
+  const row = document.createElement('div');
+  row.className = 'schedule-window';
+  row.innerHTML = `
+    ${WEEKDAYS.map(([day, label]) => `
+      <button type="button" class="day-btn${slot.days.includes(day) ? ' active' : ''}" data-day="${day}">${label}</button>
+    `).join('')}
+    <input type="time" class="window-start" value="${slot.start}">
+    <span>–</span>
+    <input type="time" class="window-end" value="${slot.end}">
+    <button type="button" class="remove-window" title="Remove window">&times;</button>
+  `;
+
+  row.querySelectorAll('.day-btn').forEach(btn => {
+    btn.addEventListener('click', () => btn.classList.toggle('active'));
+  });
+  row.querySelector('.remove-window').addEventListener('click', () => row.remove());
+
+  container.appendChild(row);
+}
+
+function renderScheduleWindows(container, schedule) {
+  container.innerHTML = '';
+  (schedule?.length ? schedule : [DEFAULT_WINDOW]).forEach(slot => addScheduleWindow(container, slot));
+}
+
+function readScheduleWindows(container) {
+  return [...container.querySelectorAll('.schedule-window')]
+    .map(row => ({
+      days: [...row.querySelectorAll('.day-btn.active')].map(btn => Number(btn.dataset.day)),
+      start: row.querySelector('.window-start').value,
+      end: row.querySelector('.window-end').value
+    }))
+    .filter(slot => slot.days.length > 0 && slot.start && slot.end);
+}
+
+function formatDays(days) {
+  const sorted = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+  const key = sorted.join(',');
+  if (key === '1,2,3,4,5,6,0') return 'Every day';
+  if (key === '1,2,3,4,5') return 'Mon–Fri';
+  if (key === '6,0') return 'Weekends';
+  return sorted.map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
+function formatSchedule(schedule) {
+  return schedule.map(slot => `${formatDays(slot.days)} ${slot.start}–${slot.end}`).join('; ');
 }
 
 // Current domain being viewed
 let currentDomain = null;
+// Its hostname, which exclusions apply to
+let currentHost = null;
+// Hosts and patterns that are never tracked
+let excludedSites = [];
+// Page the popup was opened on, which path rules match against
+let currentUrl = null;
+// Opened from a private window
+let isIncognito = false;
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
   // Get current tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   currentDomain = extractDomain(tab?.url);
+  currentHost = currentDomain;
+  currentUrl = tab?.url || null;
+  isIncognito = Boolean(tab?.incognito);
+
+  // Resolve the key time is tracked under (a sub-site when a path rule matches)
+  if (currentDomain) {
+    try {
+      const status = await chrome.runtime.sendMessage({
+        type: 'GET_DOMAIN_STATUS',
+        domain: currentDomain,
+        url: currentUrl,
+        incognito: isIncognito
+      });
+      if (status?.domain) {
+        currentDomain = status.domain;
+      }
+    } catch (e) {
+      console.error('Error resolving tracking key:', e);
+    }
+  }
 
   // Display current domain
   const domainEl = document.getElementById('current-domain');
@@ -81,6 +188,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load and display stats
   await loadStats();
 
+  // Show whether the site is excluded from tracking
+  await loadExclusion();
+
   // Load limit status
   await loadLimitStatus();
 
@@ -88,11 +198,152 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('set-limit').addEventListener('click', setLimit);
   document.getElementById('remove-limit').addEventListener('click', removeLimit);
   document.getElementById('open-dashboard').addEventListener('click', openDashboard);
+  document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('exclude-site').addEventListener('change', toggleExclusion);
+  document.getElementById('schedule-enabled').addEventListener('change', (e) => {
+    document.getElementById('schedule-editor').style.display = e.target.checked ? 'block' : 'none';
+  });
+  document.getElementById('add-window').addEventListener('click', () => {
+    addScheduleWindow(document.getElementById('schedule-windows'));
+  });
+  document.querySelectorAll('.focus-btn').forEach(btn => {
+    btn.addEventListener('click', () => startFocus(Number(btn.dataset.minutes)));
+  });
+  document.getElementById('stop-focus').addEventListener('click', stopFocus);
+
+  // Load focus session state
+  await loadFocus();
 
   // Refresh stats periodically
   setInterval(loadStats, 5000);
+  setInterval(renderFocusCountdown, 1000);
 });
 
+// Load the exclusion list
+async function loadExclusion() {
+  if (!currentHost) return;
+
+  try {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    excludedSites = settings?.excludedSites || [];
+    document.getElementById('exclude-toggle').style.display = 'flex';
+    renderExclusion();
+  } catch (e) {
+    console.error('Error loading exclusions:', e);
+  }
+}
+
+// Reflect whether the current site is excluded
+function renderExclusion() {
+  const label = document.getElementById('exclude-toggle');
+  const toggle = document.getElementById('exclude-site');
+  const excluded = isExcludedHost(currentHost, excludedSites);
+
+  // Wildcards and parent domains can only be removed on the settings page
+  const byPattern = excluded && !excludedSites.includes(currentHost);
+  toggle.checked = excluded;
+  toggle.disabled = byPattern;
+  label.title = byPattern ? 'Excluded by a pattern in Settings' : '';
+}
+
+// Add the current site to the exclusion list, or take it off again
+async function toggleExclusion(e) {
+  const sites = e.target.checked
+    ? [...excludedSites, currentHost]
+    : excludedSites.filter(site => site !== currentHost);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      settings: { excludedSites: sites }
+    });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    excludedSites = response?.settings?.excludedSites || sites;
+  } catch (err) {
+    console.error('Error updating exclusions:', err);
+  }
+
+  renderExclusion();
+  await loadStats();
+}
+
+// Running focus session, if any
+let focusState = null;
+
+// Load focus session state
+async function loadFocus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_FOCUS' });
+    focusState = response?.focus || null;
+
+    if (response?.breakMinutes) {
+      document.getElementById('focus-break').value = String(response.breakMinutes);
+    }
+
+    renderFocus();
+  } catch (e) {
+    console.error('Error loading focus session:', e);
+  }
+}
+
+// Show start controls or the running session
+function renderFocus() {
+  document.getElementById('focus-start').style.display = focusState ? 'none' : 'block';
+  document.getElementById('focus-active').style.display = focusState ? 'block' : 'none';
+  renderFocusCountdown();
+}
+
+// Update focus countdown, reloading state when a phase ends
+function renderFocusCountdown() {
+  if (!focusState) return;
+
+  const remaining = focusState.phaseEndsAt - Date.now();
+  if (remaining <= 0) {
+    loadFocus();
+    return;
+  }
+
+  const phase = focusState.phase === 'break' ? 'Break' : 'Focus';
+  const round = focusState.rounds > 1 ? ` · round ${focusState.round}/${focusState.rounds}` : '';
+  document.getElementById('focus-phase').textContent = phase + round;
+  document.getElementById('focus-countdown').textContent = formatDuration(remaining, false);
+}
+
+// Start a focus session
+async function startFocus(minutes) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_FOCUS',
+      minutes,
+      rounds: parseInt(document.getElementById('focus-rounds').value, 10),
+      breakMinutes: parseInt(document.getElementById('focus-break').value, 10)
+    });
+
+    if (response?.error) {
+      console.error('Error starting focus session:', response.error);
+      return;
+    }
+
+    focusState = response.focus;
+    renderFocus();
+  } catch (e) {
+    console.error('Error starting focus session:', e);
+  }
+}
+
+// Stop the running focus session
+async function stopFocus() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'STOP_FOCUS' });
+    focusState = null;
+    renderFocus();
+  } catch (e) {
+    console.error('Error stopping focus session:', e);
+  }
+}
+
 // Load and display stats
 async function loadStats() {
   try {
@@ -100,8 +351,10 @@ async function loadStats() {
 
     if (!response || !response.dailyData) return;
 
-    const todayKey = getTodayKey();
-    const todayData = response.dailyData[todayKey] || {};
+    // The background knows when the day starts, which may not be midnight
+    // Private windows show their own, separately tracked time when there is one
+    const showPrivate = isIncognito && Boolean(response.incognitoData);
+    const todayData = showPrivate ? response.incognitoData : response.dailyData[response.today] || {};
 
     // Current site time
     if (currentDomain) {
@@ -112,6 +365,7 @@ async function loadStats() {
     // Today's total
     const todayTotal = Object.values(todayData).reduce((sum, time) => sum + time, 0);
     document.getElementById('today-total').textContent = formatDuration(todayTotal);
+    document.getElementById('today-label').textContent = showPrivate ? 'Today (private)' : 'Today';
 
     // Week total
     const weekTotal = Object.values(response.dailyData).reduce((sum, dayData) => {
@@ -122,6 +376,9 @@ async function loadStats() {
     // Top sites
     displayTopSites(todayData);
 
+    // Categories
+    displayCategories(response.categoryTotals?.[response.today] || {});
+
   } catch (e) {
     console.error('Error loading stats:', e);
   }
@@ -137,16 +394,47 @@ function displayTopSites(data) {
     return;
   }
 
-  list.innerHTML = topSites.map(([domain, time]) => `
+  list.innerHTML = topSites.map(([, time]) => `
     <li>
-      <span class="site-domain" title="${domain}">${truncateDomain(domain, 25)}</span>
+      <span class="site-domain"></span>
       <span class="site-time">${formatDuration(time)}</span>
     </li>
   `).join('');
+
+  // Sub-site names are typed by the user, so site keys are set as text
+  list.querySelectorAll('.site-domain').forEach((domainEl, index) => {
+    const [domain] = topSites[index];
+    domainEl.textContent = truncateDomain(domain, 25);
+    domainEl.title = domain;
+  });
+}
+
+// Display today's time per category
+function displayCategories(totals) {
+  const row = document.getElementById('category-row');
+  const sorted = Object.entries(totals)
+    .filter(([, time]) => time >= 1000)
+    .sort(([, a], [, b]) => b - a);
+
+  if (sorted.length === 0) {
+    row.innerHTML = '<span class="empty-state">No activity yet</span>';
+    return;
+  }
+
+  row.innerHTML = sorted.map(([category, time]) => `
+    <span class="category-chip category-${category.toLowerCase()}">
+      ${category}: <strong>${formatDuration(time)}</strong>
+    </span>
+  `).join('');
 }
 
 // Format period label
-function formatPeriod(period) {
+function formatPeriod(period, alignment = 'rolling') {
+  if (alignment === 'rolling') {
+    if (period === 'week') return 'in the last 7 days';
+    if (period === 'month') return 'in the last 30 days';
+  }
+
   switch (period) {
     case 'day': return 'today';
     case 'week': return 'this week';
@@ -163,22 +451,35 @@ async function loadLimitStatus() {
   }
 
   try {
+    // The popup isn't a tab, so it says which page and window it was opened on
     const response = await chrome.runtime.sendMessage({
       type: 'GET_DOMAIN_STATUS',
-      domain: currentDomain
+      domain: currentDomain,
+      url: currentUrl,
+      incognito: isIncognito
     });
 
     const statusEl = document.getElementById('limit-status');
     const removeBtn = document.getElementById('remove-limit');
     const inputEl = document.getElementById('limit-input');
     const periodEl = document.getElementById('limit-period');
+    const enforcementEl = document.getElementById('limit-enforcement');
+    const alignmentEl = document.getElementById('limit-alignment');
+    const scheduleEnabledEl = document.getElementById('schedule-enabled');
+    const scheduleEditorEl = document.getElementById('schedule-editor');
 
     if (response && response.hasLimit) {
       const limitMinutes = Math.round(response.limit / 60000);
       inputEl.value = limitMinutes;
       periodEl.value = response.period || 'day';
+      enforcementEl.value = response.enforcement || 'overlay';
+      alignmentEl.value = response.alignment || DEFAULT_ALIGNMENT;
 
-      const periodLabel = formatPeriod(response.period);
+      const periodLabel = formatPeriod(response.period, response.alignment);
+      const hasSchedule = response.schedule?.length > 0;
+      scheduleEnabledEl.checked = hasSchedule;
+      scheduleEditorEl.style.display = hasSchedule ? 'block' : 'none';
+      renderScheduleWindows(document.getElementById('schedule-windows'), response.schedule);
 
       if (response.limitExceeded) {
         statusEl.textContent = `Limit: ${limitMinutes}m/${response.period} (exceeded by ${formatDuration(response.exceededBy)})`;
@@ -188,6 +489,21 @@ async function loadLimitStatus() {
         statusEl.className = 'limit-status';
       }
 
+      if (hasSchedule) {
+        const activeLabel = response.scheduleActive ? 'active now' : 'not active now';
+        statusEl.textContent += ` · ${formatSchedule(response.schedule)} (${activeLabel})`;
+      }
+
+      if (response.enforcement === 'block') {
+        statusEl.textContent += ' · blocks when exceeded';
+      }
+
+      if (response.snoozedUntil) {
+        statusEl.textContent += ` · snoozed for ${formatDuration(response.snoozedUntil - Date.now())}`;
+      }
+
+      statusEl.textContent += ` · resets ${formatResetTime(response.resetsAt)}`;
+
       removeBtn.style.display = 'block';
     } else {
       statusEl.textContent = 'No limit set';
@@ -195,13 +511,38 @@ async function loadLimitStatus() {
       removeBtn.style.display = 'none';
       inputEl.value = '';
       periodEl.value = 'day';
+      enforcementEl.value = 'overlay';
+      alignmentEl.value = DEFAULT_ALIGNMENT;
+      scheduleEnabledEl.checked = false;
+      scheduleEditorEl.style.display = 'none';
+      renderScheduleWindows(document.getElementById('schedule-windows'), null);
     }
 
+    displayGroupStatus(response?.group);
+
   } catch (e) {
     console.error('Error loading limit status:', e);
   }
 }
 
+// Show the shared budget of the site's limit group
+function displayGroupStatus(group) {
+  const groupEl = document.getElementById('group-status');
+
+  if (!group) {
+    groupEl.style.display = 'none';
+    return;
+  }
+
+  const limitMinutes = Math.round(group.limit / 60000);
+  groupEl.textContent = group.limitExceeded
+    ? `${group.name}: ${limitMinutes}m/${group.period} shared limit exceeded by ${formatDuration(group.exceededBy)}`
+    : `${group.name}: ${formatDuration(group.remainingTime)} left of ${limitMinutes}m ${formatPeriod(group.period, group.alignment)}`;
+  groupEl.className = group.limitExceeded ? 'limit-status exceeded' : 'limit-status';
+  groupEl.title = group.domains.join(', ');
+  groupEl.style.display = 'block';
+}
+
 // Set limit for current domain
 async function setLimit() {
   if (!currentDomain) return;
@@ -221,13 +562,19 @@ async function setLimit() {
   }
 
   const milliseconds = minutes * 60 * 1000;
+  const schedule = document.getElementById('schedule-enabled').checked
+    ? readScheduleWindows(document.getElementById('schedule-windows'))
+    : null;
 
   try {
     await chrome.runtime.sendMessage({
       type: 'SET_LIMIT',
       domain: currentDomain,
       limit: milliseconds,
-      period: period
+      period: period,
+      schedule,
+      enforcement: document.getElementById('limit-enforcement').value,
+      alignment: document.getElementById('limit-alignment').value
     });
 
     await loadLimitStatus();
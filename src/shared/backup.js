@@ -0,0 +1,449 @@
+import {
+  STORAGE_KEYS,
+  BACKUP_SCHEMA_VERSION,
+  IMPORT_STRATEGIES,
+  LIMIT_PERIODS,
+  PERIOD_ALIGNMENTS,
+  ENFORCEMENT_MODES,
+  PRODUCTIVITY_RATINGS
+} from './constants.js';
+import { getTodayKey, isValidSchedule, isValidSetting } from './utils.js';
+import {
+  getTimeRange,
+  getMonthlyRollups,
+  getLimits,
+  getSettings,
+  getCategories,
+  getRatings,
+  getPathRules,
+  getLimitGroups
+} from './storage.js';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Build a CSV export of a date range
+ * Long format, one row per date and domain: date,domain,milliseconds
+ * Days past daily retention are exported as one row per month (YYYY-MM).
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @returns {Promise<string>} - CSV text
+ */
+export async function buildCsvExport(startDate, endDate) {
+  const rangeData = await getTimeRange(startDate, endDate);
+  const rows = ['date,domain,milliseconds'];
+
+  for (const [dateKey, data] of Object.entries(rangeData)) {
+    const entries = Object.entries(data).sort(([, a], [, b]) => b - a);
+    for (const [domain, time] of entries) {
+      rows.push(`${dateKey},${escapeCsv(domain)},${Math.round(time)}`);
+    }
+  }
+
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Build a full JSON backup of all tracked data and settings
+ * @returns {Promise<Object>} - Backup object, tagged with the schema version
+ */
+export async function buildBackup() {
+  const firstDate = await getFirstDateKey();
+  const daily = firstDate ? await getTimeRange(firstDate, getTodayKey()) : {};
+
+  // Drop empty days produced by gaps in the range; rollups are exported whole below
+  for (const [dateKey, data] of Object.entries(daily)) {
+    if (Object.keys(data).length === 0 || !DATE_KEY_PATTERN.test(dateKey)) delete daily[dateKey];
+  }
+
+  return {
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    daily,
+    monthly: await getMonthlyRollups(),
+    limits: await getLimits(),
+    settings: await getSettings(),
+    categories: await getCategories(),
+    ratings: await getRatings(),
+    pathRules: await getPathRules(),
+    limitGroups: await getLimitGroups()
+  };
+}
+
+/**
+ * Validate a backup object before importing it
+ * @param {Object} backup - Parsed backup file
+ * @returns {Array<string>} - Problems found, empty if the backup is valid
+ */
+export function validateBackup(backup) {
+  const errors = [];
+
+  if (!isPlainObject(backup)) {
+    return ['File is not a Website Time Tracker backup'];
+  }
+
+  if (!Number.isInteger(backup.schemaVersion)) {
+    errors.push('Missing schema version');
+  } else if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    errors.push(`Backup schema version ${backup.schemaVersion} is newer than supported (${BACKUP_SCHEMA_VERSION})`);
+  }
+
+  if (!isPlainObject(backup.daily)) {
+    errors.push('Missing daily data');
+  } else {
+    for (const [dateKey, data] of Object.entries(backup.daily)) {
+      if (!DATE_KEY_PATTERN.test(dateKey)) {
+        errors.push(`Invalid date: ${dateKey}`);
+      } else if (!isPlainObject(data) || !Object.values(data).every(isValidTime)) {
+        errors.push(`Invalid time data for ${dateKey}`);
+      }
+    }
+  }
+
+  if (backup.monthly !== undefined) {
+    if (!isPlainObject(backup.monthly)) {
+      errors.push('Invalid monthly data');
+    } else {
+      for (const [monthKey, rollup] of Object.entries(backup.monthly)) {
+        if (!MONTH_KEY_PATTERN.test(monthKey)) {
+          errors.push(`Invalid month: ${monthKey}`);
+        } else if (!isPlainObject(rollup) || !Array.isArray(rollup.days) ||
+            !rollup.days.every(dateKey => DATE_KEY_PATTERN.test(dateKey) && dateKey.startsWith(monthKey)) ||
+            !isPlainObject(rollup.data) || !Object.values(rollup.data).every(isValidTime)) {
+          errors.push(`Invalid monthly data for ${monthKey}`);
+        }
+      }
+    }
+  }
+
+  if (backup.limits !== undefined) {
+    if (!isPlainObject(backup.limits)) {
+      errors.push('Invalid limits');
+    } else {
+      for (const [domain, config] of Object.entries(backup.limits)) {
+        if (!isValidLimitConfig(config)) {
+          errors.push(`Invalid limit for ${domain}`);
+        }
+      }
+    }
+  }
+
+  for (const key of ['settings', 'categories', 'ratings']) {
+    if (backup[key] !== undefined && !isPlainObject(backup[key])) {
+      errors.push(`Invalid ${key}`);
+    }
+  }
+
+  if (isPlainObject(backup.ratings)) {
+    const ratings = Object.values(PRODUCTIVITY_RATINGS);
+    for (const [domain, rating] of Object.entries(backup.ratings)) {
+      if (!ratings.includes(rating)) {
+        errors.push(`Invalid rating for ${domain}`);
+      }
+    }
+  }
+
+  // Known settings are checked like the options page's changes; unknown ones are left alone
+  if (isPlainObject(backup.settings)) {
+    for (const [key, value] of Object.entries(backup.settings)) {
+      if (!isValidSetting(key, value)) {
+        errors.push(`Invalid setting ${key}`);
+      }
+    }
+  }
+
+  if (backup.pathRules !== undefined) {
+    if (!Array.isArray(backup.pathRules)) {
+      errors.push('Invalid path rules');
+    } else {
+      for (const rule of backup.pathRules) {
+        if (!isPlainObject(rule) || typeof rule.domain !== 'string' ||
+            typeof rule.pattern !== 'string' || typeof rule.name !== 'string') {
+          errors.push(`Invalid path rule ${typeof rule?.name === 'string' ? rule.name : ''}`.trim());
+        }
+      }
+    }
+  }
+
+  if (backup.limitGroups !== undefined) {
+    if (!Array.isArray(backup.limitGroups)) {
+      errors.push('Invalid limit groups');
+    } else {
+      for (const group of backup.limitGroups) {
+        if (!isValidLimitConfig(group) || group.id === undefined || group.id === null ||
+            typeof group.name !== 'string' ||
+            !Array.isArray(group.domains) || !group.domains.every(domain => typeof domain === 'string')) {
+          errors.push(`Invalid limit group ${typeof group?.name === 'string' ? group.name : ''}`.trim());
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Summarize what importing a backup would touch
+ * @param {Object} backup - Validated backup
+ * @returns {Promise<Object>} - Dates, domains and conflicts with existing data
+ */
+export async function previewBackup(backup) {
+  const dateKeys = Object.keys(backup.daily).sort();
+  const existingDaily = dateKeys.length > 0
+    ? await getTimeRange(dateKeys[0], dateKeys[dateKeys.length - 1])
+    : {};
+  const existingLimits = await getLimits();
+  const overlaps = await getRollupOverlaps(backup);
+
+  const domainTotals = {};
+  const rollupData = Object.values(backup.monthly || {}).map(rollup => rollup.data);
+  for (const data of [...Object.values(backup.daily), ...rollupData]) {
+    for (const [domain, time] of Object.entries(data)) {
+      domainTotals[domain] = (domainTotals[domain] || 0) + time;
+    }
+  }
+
+  const conflictingLimits = Object.entries(backup.limits || {})
+    .filter(([domain, config]) => {
+      const existing = existingLimits[domain];
+      return existing && (existing.limit !== config.limit || existing.period !== config.period);
+    })
+    .map(([domain]) => domain);
+
+  return {
+    schemaVersion: backup.schemaVersion,
+    exportedAt: backup.exportedAt || null,
+    firstDate: dateKeys[0] || null,
+    lastDate: dateKeys[dateKeys.length - 1] || null,
+    dayCount: dateKeys.length,
+    monthCount: rollupData.length,
+    domains: Object.entries(domainTotals)
+      .sort(([, a], [, b]) => b - a)
+      .map(([domain]) => domain),
+    overlappingDates: dateKeys.filter(dateKey => Object.keys(existingDaily[dateKey] || {}).length > 0),
+    overlappingMonths: overlaps.months,
+    rolledUpDates: overlaps.dates,
+    limitCount: Object.keys(backup.limits || {}).length,
+    conflictingLimits
+  };
+}
+
+/**
+ * Import a validated backup, merging it with existing data
+ * Settings, categories, ratings, path rules and limit groups only overwrite existing entries with
+ * the replace strategy; otherwise they just fill in what is missing.
+ * @param {Object} backup - Validated backup
+ * @param {string} strategy - One of IMPORT_STRATEGIES
+ * @returns {Promise<Object>} - Counts of imported days and limits, and months and days skipped
+ */
+export async function restoreBackup(backup, strategy) {
+  if (!Object.values(IMPORT_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+
+  const replace = strategy === IMPORT_STRATEGIES.REPLACE;
+  const updates = {};
+
+  // Rollups can't be split by day, so daily records and rollups that would
+  // count the same day twice are skipped
+  const overlaps = await getRollupOverlaps(backup);
+
+  // Daily records, except days already in a local monthly rollup
+  const dailyDates = Object.keys(backup.daily).filter(dateKey => !overlaps.dates.includes(dateKey));
+  const dailyKeys = dailyDates.map(dateKey => `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`);
+  const existingDaily = await chrome.storage.local.get(dailyKeys);
+
+  for (const dateKey of dailyDates) {
+    const key = `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`;
+    updates[key] = mergeDailyRecord(existingDaily[key], backup.daily[dateKey], strategy);
+  }
+
+  // Monthly rollups; days already rolled up on both sides are merged like daily records
+  const monthlyKeys = Object.keys(backup.monthly || {}).map(monthKey => `${STORAGE_KEYS.MONTHLY_PREFIX}${monthKey}`);
+  const existingMonthly = await chrome.storage.local.get(monthlyKeys);
+
+  for (const [monthKey, rollup] of Object.entries(backup.monthly || {})) {
+    if (overlaps.months.includes(monthKey)) continue;
+    const key = `${STORAGE_KEYS.MONTHLY_PREFIX}${monthKey}`;
+    const existing = existingMonthly[key];
+    updates[key] = {
+      days: [...new Set([...(existing?.days || []), ...rollup.days])].sort(),
+      data: mergeDailyRecord(existing?.data, rollup.data, strategy)
+    };
+  }
+
+  // Limits
+  const limits = await getLimits();
+  for (const [domain, config] of Object.entries(backup.limits || {})) {
+    limits[domain] = mergeLimit(limits[domain], config, strategy);
+  }
+  updates[STORAGE_KEYS.LIMITS] = limits;
+
+  // Settings, categories, ratings and path rules
+  if (backup.settings) {
+    const settings = await getSettings();
+    updates[STORAGE_KEYS.META] = replace
+      ? { ...settings, ...backup.settings }
+      : { ...backup.settings, ...settings };
+  }
+
+  if (backup.categories) {
+    const categories = await getCategories();
+    updates[STORAGE_KEYS.CATEGORIES] = replace
+      ? { ...categories, ...backup.categories }
+      : { ...backup.categories, ...categories };
+  }
+
+  if (backup.ratings) {
+    const ratings = await getRatings();
+    updates[STORAGE_KEYS.RATINGS] = replace
+      ? { ...ratings, ...backup.ratings }
+      : { ...backup.ratings, ...ratings };
+  }
+
+  if (backup.pathRules) {
+    const rules = await getPathRules();
+    for (const rule of backup.pathRules) {
+      const index = rules.findIndex(r => r.id === rule.id);
+      if (index === -1) {
+        rules.push(rule);
+      } else if (replace) {
+        rules[index] = rule;
+      }
+    }
+    updates[STORAGE_KEYS.PATH_RULES] = rules;
+  }
+
+  if (backup.limitGroups) {
+    const groups = await getLimitGroups();
+    for (const group of backup.limitGroups) {
+      const index = groups.findIndex(g => g.id === group.id);
+      if (index === -1) {
+        groups.push(group);
+      } else if (replace) {
+        groups[index] = group;
+      }
+    }
+    updates[STORAGE_KEYS.LIMIT_GROUPS] = groups;
+  }
+
+  await chrome.storage.local.set(updates);
+
+  return {
+    days: dailyKeys.length,
+    limits: Object.keys(backup.limits || {}).length,
+    skippedMonths: overlaps.months,
+    skippedDays: overlaps.dates
+  };
+}
+
+/**
+ * Find imported data that a monthly rollup would count a second time
+ * Imported rollups covering days with daily records on either side, and
+ * imported daily records for days a local rollup already holds.
+ * @param {Object} backup - Validated backup
+ * @returns {Promise<Object>} - { months, dates }: month keys (YYYY-MM) and date keys to skip
+ */
+async function getRollupOverlaps(backup) {
+  const allData = await chrome.storage.local.get(null);
+  const dailyDates = new Set(Object.keys(backup.daily));
+  const rolledUpDates = new Set();
+  for (const [key, value] of Object.entries(allData)) {
+    if (key.startsWith(STORAGE_KEYS.DAILY_PREFIX)) {
+      dailyDates.add(key.replace(STORAGE_KEYS.DAILY_PREFIX, ''));
+    } else if (key.startsWith(STORAGE_KEYS.MONTHLY_PREFIX)) {
+      value.days.forEach(dateKey => rolledUpDates.add(dateKey));
+    }
+  }
+
+  return {
+    months: Object.keys(backup.monthly || {})
+      .filter(monthKey => backup.monthly[monthKey].days.some(dateKey => dailyDates.has(dateKey))),
+    dates: Object.keys(backup.daily).filter(dateKey => rolledUpDates.has(dateKey)).sort()
+  };
+}
+
+/**
+ * Merge an imported daily record into an existing one
+ */
+function mergeDailyRecord(existing, incoming, strategy) {
+  if (!existing || strategy === IMPORT_STRATEGIES.REPLACE) {
+    return { ...incoming };
+  }
+
+  const merged = { ...existing };
+  for (const [domain, time] of Object.entries(incoming)) {
+    merged[domain] = strategy === IMPORT_STRATEGIES.SUM
+      ? (merged[domain] || 0) + time
+      : Math.max(merged[domain] || 0, time);
+  }
+  return merged;
+}
+
+/**
+ * Merge an imported limit into an existing one
+ * Limits for different periods can't be combined, so sum takes the imported
+ * limit and keep-max keeps the existing one.
+ */
+function mergeLimit(existing, incoming, strategy) {
+  if (!existing || strategy === IMPORT_STRATEGIES.REPLACE) {
+    return { ...existing, ...incoming };
+  }
+
+  if (existing.period !== incoming.period) {
+    return strategy === IMPORT_STRATEGIES.SUM ? { ...existing, ...incoming } : existing;
+  }
+
+  return {
+    ...existing,
+    limit: strategy === IMPORT_STRATEGIES.SUM
+      ? existing.limit + incoming.limit
+      : Math.max(existing.limit, incoming.limit)
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a site limit or limit group's limit, period and optional settings
+ * Anything saved here is read by the limit checks on every page ping.
+ */
+function isValidLimitConfig(config) {
+  return isPlainObject(config) &&
+    isValidTime(config.limit) &&
+    LIMIT_PERIODS.includes(config.period) &&
+    (config.schedule === undefined || isValidSchedule(config.schedule)) &&
+    (config.enforcement === undefined || Object.values(ENFORCEMENT_MODES).includes(config.enforcement)) &&
+    (config.alignment === undefined || Object.values(PERIOD_ALIGNMENTS).includes(config.alignment));
+}
+
+/**
+ * Find the oldest date with stored daily data
+ * @returns {Promise<string|null>} - Date key or null if there is no data
+ */
+async function getFirstDateKey() {
+  const allData = await chrome.storage.local.get(null);
+  const dateKeys = Object.keys(allData)
+    .filter(key => key.startsWith(STORAGE_KEYS.DAILY_PREFIX))
+    .map(key => key.replace(STORAGE_KEYS.DAILY_PREFIX, ''))
+    .sort();
+
+  return dateKeys[0] || null;
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline
+ * @param {string} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeCsv(value) {
+  if (!/[",\n]/.test(value)) return value;
+  return `"${value.replace(/"/g, '""')}"`;
+}
@@ -1,14 +1,31 @@
 // Time tracking constants
+// Timeouts, throttles and retention are defaults for the settings on the options page
 export const INACTIVITY_TIMEOUT_MS = 15000; // 15 seconds
 export const ACTIVITY_THROTTLE_MS = 1000; // Report activity at most once per second
+export const STATUS_CHECK_MS = 5000; // Content scripts refresh the limit status this often
 export const PERSIST_INTERVAL_MINUTES = 1; // Save data every minute
-export const DATA_RETENTION_DAYS = 90; // Keep 3 months of data
+export const DATA_RETENTION_DAYS = 90; // Default days of daily detail to keep before rolling up
+export const BACKUP_SCHEMA_VERSION = 2; // Bump when the backup file format changes
 
 // Storage keys
 export const STORAGE_KEYS = {
   LIMITS: 'limits',
+  LIMIT_GROUPS: 'limitGroups',
+  CATEGORIES: 'categories',
+  RATINGS: 'ratings', // Productivity ratings set by the user; other sites are rated by category
+  PATH_RULES: 'pathRules',
+  FOCUS: 'focus',
+  FOCUS_LOG: 'focusLog',
+  SNOOZES: 'snoozes',
+  WARNINGS: 'warnings',
   DAILY_PREFIX: 'daily:',
-  META: 'meta'
+  SESSIONS_PREFIX: 'sessions:',
+  MEDIA_PREFIX: 'media:', // Passive media playback time, a subset of the daily totals
+  MONTHLY_PREFIX: 'monthly:', // Per-domain totals of days past daily retention
+  META: 'meta',
+  TRACKING_STATE: 'trackingState', // In chrome.storage.session: open sessions and pending time
+  INCOGNITO_DATA: 'incognitoData', // In chrome.storage.session: time tracked in private windows
+  INCOGNITO_SESSIONS: 'incognitoSessions' // In chrome.storage.session: private window sessions, for scheduled limits
 };
 
 // Message types for communication between scripts
@@ -19,14 +36,196 @@ export const MESSAGE_TYPES = {
   GET_TODAY_STATS: 'GET_TODAY_STATS',
   SET_LIMIT: 'SET_LIMIT',
   REMOVE_LIMIT: 'REMOVE_LIMIT',
-  GET_LIMITS: 'GET_LIMITS'
+  GET_LIMITS: 'GET_LIMITS',
+  GET_CATEGORIES: 'GET_CATEGORIES',
+  SET_CATEGORY: 'SET_CATEGORY',
+  REMOVE_CATEGORY: 'REMOVE_CATEGORY',
+  GET_RATINGS: 'GET_RATINGS',
+  SET_RATING: 'SET_RATING',
+  REMOVE_RATING: 'REMOVE_RATING',
+  GET_SESSIONS: 'GET_SESSIONS',
+  GET_PATH_RULES: 'GET_PATH_RULES',
+  SET_PATH_RULE: 'SET_PATH_RULE',
+  REMOVE_PATH_RULE: 'REMOVE_PATH_RULE',
+  GET_SETTINGS: 'GET_SETTINGS',
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  EXPORT_DATA: 'EXPORT_DATA',
+  PREVIEW_IMPORT: 'PREVIEW_IMPORT',
+  IMPORT_BACKUP: 'IMPORT_BACKUP',
+  GET_FOCUS: 'GET_FOCUS',
+  START_FOCUS: 'START_FOCUS',
+  STOP_FOCUS: 'STOP_FOCUS',
+  GET_FOCUS_LOG: 'GET_FOCUS_LOG',
+  SNOOZE_LIMIT: 'SNOOZE_LIMIT',
+  GET_SNOOZES: 'GET_SNOOZES',
+  GET_LIMIT_GROUPS: 'GET_LIMIT_GROUPS',
+  SET_LIMIT_GROUP: 'SET_LIMIT_GROUP',
+  REMOVE_LIMIT_GROUP: 'REMOVE_LIMIT_GROUP'
+};
+
+// How imported records are merged with existing ones
+export const IMPORT_STRATEGIES = {
+  REPLACE: 'replace', // Imported record wins
+  SUM: 'sum', // Times (and same-period limits) are added together
+  KEEP_MAX: 'max' // The larger value is kept
+};
+
+export const LIMIT_PERIODS = ['day', 'week', 'month'];
+
+// How week and month periods line up: the last 7/30 days, or this
+// calendar week/month
+export const PERIOD_ALIGNMENTS = {
+  ROLLING: 'rolling',
+  CALENDAR: 'calendar'
+};
+export const DEFAULT_ALIGNMENT = PERIOD_ALIGNMENTS.ROLLING; // For limits that don't set one
+
+// What happens when a limit is exceeded
+export const ENFORCEMENT_MODES = {
+  OVERLAY: 'overlay', // Grey out the page with a dismissible overlay
+  BLOCK: 'block' // Redirect the site to the block page
+};
+
+// Extension page blocked sites are redirected to
+export const BLOCK_PAGE_PATH = '/src/block/block.html';
+
+// Domain grouping modes
+export const DOMAIN_GROUPING = {
+  HOST: 'host', // Every hostname is tracked separately
+  REGISTRABLE: 'registrable' // Hosts are grouped by registrable domain (eTLD+1)
+};
+
+// What happens to time spent in private (incognito) windows
+export const INCOGNITO_TRACKING = {
+  IGNORE: 'ignore', // Not tracked at all
+  SEPARATE: 'separate', // Kept apart until the last private window closes, never saved to history
+  NORMAL: 'normal' // Tracked like any other window
+};
+
+// User settings, stored under STORAGE_KEYS.META
+export const DEFAULT_SETTINGS = {
+  domainGrouping: DOMAIN_GROUPING.HOST,
+  keepSeparate: [], // Hosts that stay separate when grouping by registrable domain
+  excludedSites: [], // Hosts and wildcard patterns that are never tracked (subdomains included)
+  incognitoTracking: INCOGNITO_TRACKING.IGNORE,
+  enforceLimitsInIncognito: true, // Limits and focus blocks also apply in private windows
+  focusBlockList: [ // Sites blocked during focus sessions (subdomains included)
+    'twitter.com',
+    'x.com',
+    'reddit.com',
+    'facebook.com',
+    'instagram.com',
+    'tiktok.com',
+    'youtube.com',
+    'news.ycombinator.com'
+  ],
+  focusEnforcement: 'block', // ENFORCEMENT_MODES value used during focus sessions
+  focusBreakMinutes: 5,
+  snoozeMinutes: 5, // How long a snooze hides the limit overlay
+  snoozesPerPeriod: 3, // Snoozes allowed per site in each limit period
+  weekStartDay: 1, // First day of calendar weeks (0 = Sunday, 1 = Monday)
+  dayStartHour: 0, // Hour days start at, for daily totals and limits (0 = midnight)
+  dailyRetentionDays: DATA_RETENTION_DAYS, // Older days are rolled up into monthly totals
+  idleDetectionSeconds: 60, // System idle time before tracking pauses (chrome.idle, min 15)
+  inactivityTimeoutSeconds: INACTIVITY_TIMEOUT_MS / 1000, // Time without activity before a session ends
+  activityThrottleMs: ACTIVITY_THROTTLE_MS, // Content scripts report activity at most this often
+  statusCheckSeconds: STATUS_CHECK_MS / 1000, // Content scripts refresh the limit status this often
+  warningThresholds: [ // Advance warnings before a limit is reached, each fired once per period
+    { type: 'percent', value: 80 },
+    { type: 'remaining', value: 5 }
+  ]
+};
+
+// Warning threshold types: percent of the limit used, or minutes left
+export const WARNING_TYPES = {
+  PERCENT: 'percent',
+  REMAINING: 'remaining'
+};
+
+export const FOCUS_LOG_MAX_ENTRIES = 500;
+
+// Focus session phases
+export const FOCUS_PHASES = {
+  FOCUS: 'focus',
+  BREAK: 'break'
+};
+
+// Categories a domain can be assigned to
+export const CATEGORY_NAMES = ['Work', 'Social', 'News', 'Entertainment', 'Shopping', 'Other'];
+export const UNCATEGORIZED = 'Other';
+
+// Built-in domain to category mapping, used until the user edits it.
+// Subdomains inherit the category of their parent (mail.google.com -> google.com).
+export const DEFAULT_CATEGORIES = {
+  'github.com': 'Work',
+  'gitlab.com': 'Work',
+  'stackoverflow.com': 'Work',
+  'developer.mozilla.org': 'Work',
+  'docs.google.com': 'Work',
+  'drive.google.com': 'Work',
+  'mail.google.com': 'Work',
+  'calendar.google.com': 'Work',
+  'atlassian.net': 'Work',
+  'notion.so': 'Work',
+  'slack.com': 'Work',
+  'figma.com': 'Work',
+  'linear.app': 'Work',
+  'twitter.com': 'Social',
+  'x.com': 'Social',
+  'facebook.com': 'Social',
+  'instagram.com': 'Social',
+  'reddit.com': 'Social',
+  'linkedin.com': 'Social',
+  'tiktok.com': 'Social',
+  'discord.com': 'Social',
+  'news.ycombinator.com': 'News',
+  'news.google.com': 'News',
+  'nytimes.com': 'News',
+  'theguardian.com': 'News',
+  'bbc.com': 'News',
+  'bbc.co.uk': 'News',
+  'cnn.com': 'News',
+  'reuters.com': 'News',
+  'youtube.com': 'Entertainment',
+  'netflix.com': 'Entertainment',
+  'twitch.tv': 'Entertainment',
+  'spotify.com': 'Entertainment',
+  'primevideo.com': 'Entertainment',
+  'disneyplus.com': 'Entertainment',
+  'amazon.com': 'Shopping',
+  'ebay.com': 'Shopping'
+};
+
+// How time on a site counts toward the daily focus score
+export const PRODUCTIVITY_RATINGS = {
+  PRODUCTIVE: 'productive',
+  NEUTRAL: 'neutral',
+  DISTRACTING: 'distracting'
+};
+
+// Share of a site's time that counts as focused, by rating
+export const RATING_WEIGHTS = {
+  [PRODUCTIVITY_RATINGS.PRODUCTIVE]: 1,
+  [PRODUCTIVITY_RATINGS.NEUTRAL]: 0.5,
+  [PRODUCTIVITY_RATINGS.DISTRACTING]: 0
+};
+
+// Built-in rating of each category, used for sites the user hasn't rated
+export const CATEGORY_RATINGS = {
+  Work: PRODUCTIVITY_RATINGS.PRODUCTIVE,
+  Social: PRODUCTIVITY_RATINGS.DISTRACTING,
+  News: PRODUCTIVITY_RATINGS.NEUTRAL,
+  Entertainment: PRODUCTIVITY_RATINGS.DISTRACTING,
+  Shopping: PRODUCTIVITY_RATINGS.DISTRACTING,
+  Other: PRODUCTIVITY_RATINGS.NEUTRAL
 };
 
 // Alarm names
 export const ALARMS = {
   PERSIST_DATA: 'persist-data',
   CLEANUP_DATA: 'cleanup-data',
-  INACTIVITY_CHECK: 'inactivity-check'
+  INACTIVITY_CHECK: 'inactivity-check',
+  FOCUS_TIMER: 'focus-timer'
 };
 
 // URLs to skip tracking
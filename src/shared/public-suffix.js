@@ -0,0 +1,52 @@
+// Bundled subset of the Public Suffix List (https://publicsuffix.org/list/)
+// Only multi-label suffixes need listing: any single-label TLD (com, org, de, ...)
+// is a public suffix by the list's default "*" rule.
+
+export const PUBLIC_SUFFIXES = new Set([
+  // ICANN: second-level country suffixes
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'plc.uk', 'sch.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au', 'asn.au',
+  'co.nz', 'net.nz', 'org.nz', 'govt.nz', 'ac.nz', 'geek.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'ad.jp', 'ed.jp', 'gr.jp', 'lg.jp',
+  'co.kr', 'or.kr', 'ne.kr', 'ac.kr', 'go.kr', 're.kr',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'ac.cn',
+  'com.hk', 'net.hk', 'org.hk', 'edu.hk', 'gov.hk',
+  'com.tw', 'net.tw', 'org.tw', 'edu.tw', 'gov.tw', 'idv.tw',
+  'com.sg', 'net.sg', 'org.sg', 'edu.sg', 'gov.sg',
+  'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'gov.in', 'nic.in', 'res.in',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'art.br', 'blog.br', 'eco.br', 'eng.br', 'ind.br', 'inf.br', 'app.br', 'dev.br',
+  'com.ar', 'net.ar', 'org.ar', 'gob.ar', 'edu.ar', 'int.ar',
+  'com.mx', 'net.mx', 'org.mx', 'gob.mx', 'edu.mx',
+  'com.co', 'net.co', 'org.co', 'gov.co', 'edu.co',
+  'com.pe', 'net.pe', 'org.pe', 'gob.pe', 'edu.pe',
+  'co.za', 'net.za', 'org.za', 'gov.za', 'ac.za', 'web.za',
+  'com.tr', 'net.tr', 'org.tr', 'gen.tr', 'edu.tr', 'gov.tr', 'bel.tr', 'av.tr',
+  'com.ru', 'net.ru', 'org.ru', 'pp.ru', 'msk.ru', 'spb.ru',
+  'com.ua', 'net.ua', 'org.ua', 'in.ua', 'kiev.ua',
+  'com.pl', 'net.pl', 'org.pl', 'info.pl', 'waw.pl', 'gov.pl', 'edu.pl',
+  'co.il', 'org.il', 'net.il', 'ac.il', 'gov.il', 'muni.il',
+  'com.my', 'net.my', 'org.my', 'gov.my', 'edu.my',
+  'com.ph', 'net.ph', 'org.ph', 'gov.ph', 'edu.ph',
+  'co.id', 'or.id', 'web.id', 'ac.id', 'go.id', 'my.id',
+  'co.th', 'in.th', 'or.th', 'ac.th', 'go.th',
+  'com.vn', 'net.vn', 'org.vn', 'edu.vn', 'gov.vn',
+  'com.pk', 'net.pk', 'org.pk', 'edu.pk', 'gov.pk',
+  'com.eg', 'net.eg', 'org.eg', 'edu.eg', 'gov.eg',
+  'com.sa', 'net.sa', 'org.sa', 'edu.sa', 'gov.sa',
+  'co.ke', 'or.ke', 'ne.ke', 'ac.ke', 'go.ke',
+  'com.ng', 'net.ng', 'org.ng', 'edu.ng', 'gov.ng',
+  'gv.at', 'co.at', 'or.at', 'ac.at',
+  'com.es', 'nom.es', 'org.es', 'gob.es', 'edu.es',
+  'com.pt', 'org.pt', 'edu.pt', 'gov.pt',
+  'com.gr', 'net.gr', 'org.gr', 'edu.gr', 'gov.gr',
+  'co.it', 'gov.it', 'edu.it',
+  'asso.fr', 'com.fr', 'gouv.fr', 'nom.fr', 'prd.fr', 'tm.fr',
+  'qc.ca', 'on.ca', 'bc.ca', 'ab.ca', 'mb.ca', 'nb.ca', 'ns.ca', 'nl.ca', 'pe.ca', 'sk.ca', 'yk.ca', 'nt.ca', 'nu.ca', 'gc.ca',
+
+  // Private: platforms that host independent sites under their own domain
+  'github.io', 'gitlab.io', 'blogspot.com', 'wordpress.com', 'tumblr.com',
+  'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'workers.dev',
+  'web.app', 'firebaseapp.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net',
+  'amazonaws.com', 's3.amazonaws.com', 'onrender.com', 'fly.dev', 'glitch.me',
+  'repl.co', 'ngrok.io', 'ngrok-free.app', 'myshopify.com', 'substack.com', 'neocities.org'
+]);
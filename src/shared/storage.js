@@ -1,5 +1,13 @@
-import { STORAGE_KEYS, DATA_RETENTION_DAYS } from './constants.js';
-import { formatDateKey, getTodayKey } from './utils.js';
+import {
+  STORAGE_KEYS,
+  DATA_RETENTION_DAYS,
+  DEFAULT_CATEGORIES,
+  DEFAULT_SETTINGS,
+  ENFORCEMENT_MODES,
+  PERIOD_ALIGNMENTS,
+  FOCUS_LOG_MAX_ENTRIES
+} from './constants.js';
+import { formatDateKey, getTodayKey, getDayStart, splitAtDayStart } from './utils.js';
 
 /**
  * Get daily time data for a specific date
@@ -43,36 +51,227 @@ export async function addTimeForDomain(domain, milliseconds) {
 }
 
 /**
- * Get time data for a date range
- * @param {Date} startDate - Start date (inclusive)
- * @param {Date} endDate - End date (inclusive)
- * @returns {Promise<Object>} - Object mapping date keys to daily data
+ * List date keys between two dates
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @returns {Array<string>} - Date keys in ascending order
  */
-export async function getTimeRange(startDate, endDate) {
+export function getDateKeysInRange(startDate, endDate) {
   const keys = [];
-  const current = new Date(startDate);
+  const current = parseDate(startDate);
   current.setHours(0, 0, 0, 0);
 
-  const end = new Date(endDate);
+  const end = parseDate(endDate);
   end.setHours(23, 59, 59, 999);
 
   while (current <= end) {
-    keys.push(`${STORAGE_KEYS.DAILY_PREFIX}${formatDateKey(current)}`);
+    keys.push(formatDateKey(current));
     current.setDate(current.getDate() + 1);
   }
 
+  return keys;
+}
+
+/**
+ * Parse a Date, timestamp or YYYY-MM-DD key into a local Date
+ * @param {Date|number|string} value - Value to parse
+ * @returns {Date} - New Date instance
+ */
+function parseDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+}
+
+/**
+ * Get time data for a date range
+ * Days past daily retention come from their monthly rollups, keyed by
+ * month (YYYY-MM) next to the date keys of days still kept in detail.
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @returns {Promise<Object>} - Object mapping date and month keys to domain data
+ */
+export async function getTimeRange(startDate, endDate) {
+  const keys = getDateKeysInRange(startDate, endDate)
+    .map(dateKey => `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`);
+
   const result = await chrome.storage.local.get(keys);
 
-  return keys.reduce((acc, key) => {
+  const daily = keys.reduce((acc, key) => {
     const dateKey = key.replace(STORAGE_KEYS.DAILY_PREFIX, '');
     acc[dateKey] = result[key] || {};
     return acc;
   }, {});
+
+  const monthly = {};
+  for (const [monthKey, rollup] of Object.entries(await getMonthlyRange(startDate, endDate))) {
+    monthly[monthKey] = rollup.data;
+  }
+
+  return { ...daily, ...monthly };
+}
+
+/**
+ * Get the monthly rollups that cover part of a date range
+ * A rollup only holds days whose daily records were compacted away, so it
+ * never overlaps the daily records of its month. Rollups can't be split by
+ * day: one is included whole if any of its days fall in the range.
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @returns {Promise<Object>} - Object mapping month keys (YYYY-MM) to { days, data }
+ */
+export async function getMonthlyRange(startDate, endDate) {
+  const dateKeys = getDateKeysInRange(startDate, endDate);
+  if (dateKeys.length === 0) return {};
+
+  const monthKeys = [...new Set(dateKeys.map(dateKey => dateKey.slice(0, 7)))];
+  const result = await chrome.storage.local.get(monthKeys.map(monthKey => `${STORAGE_KEYS.MONTHLY_PREFIX}${monthKey}`));
+
+  const firstKey = dateKeys[0];
+  const lastKey = dateKeys[dateKeys.length - 1];
+  return monthKeys.reduce((acc, monthKey) => {
+    const rollup = result[`${STORAGE_KEYS.MONTHLY_PREFIX}${monthKey}`];
+    if (rollup?.days.some(dateKey => dateKey >= firstKey && dateKey <= lastKey)) {
+      acc[monthKey] = rollup;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Get every monthly rollup
+ * @returns {Promise<Object>} - Object mapping month keys (YYYY-MM) to { days, data }
+ */
+export async function getMonthlyRollups() {
+  const allData = await chrome.storage.local.get(null);
+  const rollups = {};
+  for (const [key, rollup] of Object.entries(allData)) {
+    if (key.startsWith(STORAGE_KEYS.MONTHLY_PREFIX)) {
+      rollups[key.replace(STORAGE_KEYS.MONTHLY_PREFIX, '')] = rollup;
+    }
+  }
+  return rollups;
+}
+
+/**
+ * Get daily and media totals for a list of days in a single read
+ * @param {Array<string>} dateKeys - Date keys (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Object mapping date keys to { data, media }
+ */
+export async function getDaysData(dateKeys) {
+  const keys = dateKeys.flatMap(dateKey => [
+    `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`,
+    `${STORAGE_KEYS.MEDIA_PREFIX}${dateKey}`
+  ]);
+  const result = await chrome.storage.local.get(keys);
+
+  return dateKeys.reduce((acc, dateKey) => {
+    acc[dateKey] = {
+      data: result[`${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`] || {},
+      media: result[`${STORAGE_KEYS.MEDIA_PREFIX}${dateKey}`] || {}
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Record finished tracking sessions
+ * Appends each session to its day's session log and adds its duration to the
+ * daily totals, which are a rollup of the session log. A session that starts
+ * exactly where the previous one for the same domain and tab ended is merged
+ * into it, so periodic persistence doesn't fragment the timeline.
+ * Media sessions (passive playback) are also added to the day's media totals.
+ * @param {Array<Object>} sessions - Array of { start, end, domain, tabId, media? }
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
+ */
+export async function recordSessions(sessions, dayStartHour = 0) {
+  // Sessions that cross the start of a day count toward each day they touch
+  const byDate = {};
+  for (const session of sessions) {
+    if (!session.domain || session.end <= session.start) continue;
+    for (const { start, end } of splitAtDayStart(session.start, session.end, dayStartHour)) {
+      const dateKey = formatDateKey(getDayStart(start, dayStartHour));
+      (byDate[dateKey] = byDate[dateKey] || []).push({ ...session, start, end });
+    }
+  }
+
+  const dateKeys = Object.keys(byDate);
+  if (dateKeys.length === 0) return;
+
+  const keys = dateKeys.flatMap(dateKey => [
+    `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`,
+    `${STORAGE_KEYS.SESSIONS_PREFIX}${dateKey}`,
+    `${STORAGE_KEYS.MEDIA_PREFIX}${dateKey}`
+  ]);
+  const result = await chrome.storage.local.get(keys);
+  const updates = {};
+
+  for (const [dateKey, newSessions] of Object.entries(byDate)) {
+    const dailyKey = `${STORAGE_KEYS.DAILY_PREFIX}${dateKey}`;
+    const sessionsKey = `${STORAGE_KEYS.SESSIONS_PREFIX}${dateKey}`;
+    const mediaKey = `${STORAGE_KEYS.MEDIA_PREFIX}${dateKey}`;
+    const daily = result[dailyKey] || {};
+    const log = result[sessionsKey] || [];
+    const media = result[mediaKey] || {};
+
+    for (const session of newSessions) {
+      const duration = session.end - session.start;
+      daily[session.domain] = (daily[session.domain] || 0) + duration;
+      if (session.media) {
+        media[session.domain] = (media[session.domain] || 0) + duration;
+      }
+
+      const last = log[log.length - 1];
+      if (last && last.domain === session.domain && last.tabId === session.tabId &&
+          Boolean(last.media) === Boolean(session.media) && last.end === session.start) {
+        last.end = session.end;
+      } else {
+        const entry = {
+          start: session.start,
+          end: session.end,
+          domain: session.domain,
+          tabId: session.tabId ?? null
+        };
+        if (session.media) entry.media = true;
+        log.push(entry);
+      }
+    }
+
+    updates[dailyKey] = daily;
+    updates[sessionsKey] = log;
+    if (Object.keys(media).length > 0) {
+      updates[mediaKey] = media;
+    }
+  }
+
+  await chrome.storage.local.set(updates);
+}
+
+/**
+ * Get recorded sessions for a date range
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @param {string} [domain] - Only return sessions for this domain
+ * @returns {Promise<Array<Object>>} - Sessions sorted by start time
+ */
+export async function getSessions(startDate, endDate, domain = null) {
+  const keys = getDateKeysInRange(startDate, endDate)
+    .map(dateKey => `${STORAGE_KEYS.SESSIONS_PREFIX}${dateKey}`);
+
+  const result = await chrome.storage.local.get(keys);
+
+  return keys
+    .flatMap(key => result[key] || [])
+    .filter(session => !domain || session.domain === domain)
+    .sort((a, b) => a.start - b.start);
 }
 
 /**
  * Get all stored limits
- * @returns {Promise<Object>} - Object mapping domains to limit config { limit: ms, period: 'day'|'week'|'month' }
+ * @returns {Promise<Object>} - Object mapping domains to limit config
+ *   { limit: ms, period: 'day'|'week'|'month', schedule?: Array<{ days, start, end }>, enforcement?: 'block' }
  */
 export async function getLimits() {
   const result = await chrome.storage.local.get(STORAGE_KEYS.LIMITS);
@@ -97,10 +296,29 @@ export async function getLimits() {
  * @param {string} domain - The domain
  * @param {number} milliseconds - Limit in ms
  * @param {string} period - 'day', 'week', or 'month'
+ * @param {Object} options - Optional settings
+ * @param {Array<Object>} [options.schedule] - Windows { days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+ *   the limit applies in; the limit always applies when omitted or empty
+ * @param {string} [options.enforcement] - 'overlay' (default) or 'block'
+ * @param {string} [options.alignment] - 'rolling' (DEFAULT_ALIGNMENT) or 'calendar' week/month
  */
-export async function setLimit(domain, milliseconds, period = 'day') {
+export async function setLimit(domain, milliseconds, period = 'day', options = {}) {
   const limits = await getLimits();
-  limits[domain] = { limit: milliseconds, period };
+  const config = { limit: milliseconds, period };
+
+  if (options.schedule?.length > 0) {
+    config.schedule = options.schedule;
+  }
+
+  if (options.enforcement === ENFORCEMENT_MODES.BLOCK) {
+    config.enforcement = ENFORCEMENT_MODES.BLOCK;
+  }
+
+  if (options.alignment === PERIOD_ALIGNMENTS.CALENDAR) {
+    config.alignment = PERIOD_ALIGNMENTS.CALENDAR;
+  }
+
+  limits[domain] = config;
   await chrome.storage.local.set({ [STORAGE_KEYS.LIMITS]: limits });
 }
 
@@ -125,17 +343,394 @@ export async function getLimit(domain) {
 }
 
 /**
- * Clean up data older than retention period
+ * Get limit groups, each sharing one budget across several sites
+ * @returns {Promise<Array<Object>>} - Groups { id, name, domains, limit, period, schedule?, enforcement?, alignment? }
+ */
+export async function getLimitGroups() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.LIMIT_GROUPS);
+  return result[STORAGE_KEYS.LIMIT_GROUPS] || [];
+}
+
+/**
+ * Add or update a limit group
+ * @param {Object} group - { id?, name, domains, limit, period, schedule?, enforcement?, alignment? }
+ * @returns {Promise<Object>} - The saved group, with its id
+ */
+export async function setLimitGroup(group) {
+  const groups = await getLimitGroups();
+  const saved = {
+    id: group.id || `group-${Date.now().toString(36)}`,
+    name: group.name,
+    domains: group.domains,
+    limit: group.limit,
+    period: group.period || 'day'
+  };
+
+  if (group.schedule?.length > 0) {
+    saved.schedule = group.schedule;
+  }
+
+  if (group.enforcement === ENFORCEMENT_MODES.BLOCK) {
+    saved.enforcement = ENFORCEMENT_MODES.BLOCK;
+  }
+
+  if (group.alignment === PERIOD_ALIGNMENTS.CALENDAR) {
+    saved.alignment = PERIOD_ALIGNMENTS.CALENDAR;
+  }
+
+  const index = groups.findIndex(g => g.id === saved.id);
+  if (index >= 0) {
+    groups[index] = saved;
+  } else {
+    groups.push(saved);
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.LIMIT_GROUPS]: groups });
+  return saved;
+}
+
+/**
+ * Remove a limit group
+ * @param {string} id - Group id
+ */
+export async function removeLimitGroup(id) {
+  const groups = await getLimitGroups();
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.LIMIT_GROUPS]: groups.filter(g => g.id !== id)
+  });
+}
+
+/**
+ * Get the domain to category mapping
+ * Falls back to the built-in defaults until the user edits the mapping.
+ * @returns {Promise<Object>} - Object mapping domains to category names
+ */
+export async function getCategories() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CATEGORIES);
+  return result[STORAGE_KEYS.CATEGORIES] || { ...DEFAULT_CATEGORIES };
+}
+
+/**
+ * Assign a domain to a category
+ * @param {string} domain - The domain
+ * @param {string} category - Category name
+ */
+export async function setCategory(domain, category) {
+  const categories = await getCategories();
+  categories[domain] = category;
+  await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+}
+
+/**
+ * Remove a domain's category assignment
+ * @param {string} domain - The domain
+ */
+export async function removeCategory(domain) {
+  const categories = await getCategories();
+  delete categories[domain];
+  await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+}
+
+/**
+ * Get the productivity ratings set by the user
+ * Sites without one are rated by their category (see CATEGORY_RATINGS).
+ * @returns {Promise<Object>} - Object mapping domains to ratings
+ */
+export async function getRatings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RATINGS);
+  return result[STORAGE_KEYS.RATINGS] || {};
+}
+
+/**
+ * Rate a domain as productive, neutral or distracting
+ * @param {string} domain - The domain
+ * @param {string} rating - One of PRODUCTIVITY_RATINGS
+ */
+export async function setRating(domain, rating) {
+  const ratings = await getRatings();
+  ratings[domain] = rating;
+  await chrome.storage.local.set({ [STORAGE_KEYS.RATINGS]: ratings });
+}
+
+/**
+ * Remove a domain's rating, falling back to its category's
+ * @param {string} domain - The domain
+ */
+export async function removeRating(domain) {
+  const ratings = await getRatings();
+  delete ratings[domain];
+  await chrome.storage.local.set({ [STORAGE_KEYS.RATINGS]: ratings });
+}
+
+/**
+ * Get user-defined path rules that split domains into sub-sites
+ * @returns {Promise<Array<Object>>} - Array of { id, domain, pattern, name }
+ */
+export async function getPathRules() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.PATH_RULES);
+  return result[STORAGE_KEYS.PATH_RULES] || [];
+}
+
+/**
+ * Add or update a path rule
+ * @param {Object} rule - { id?, domain, pattern, name }
+ * @returns {Promise<Object>} - The saved rule
+ */
+export async function setPathRule(rule) {
+  const rules = await getPathRules();
+  const saved = {
+    id: rule.id || `rule-${Date.now().toString(36)}`,
+    domain: rule.domain,
+    pattern: rule.pattern,
+    name: rule.name
+  };
+
+  const index = rules.findIndex(r => r.id === saved.id);
+  if (index >= 0) {
+    rules[index] = saved;
+  } else {
+    rules.push(saved);
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.PATH_RULES]: rules });
+  return saved;
+}
+
+/**
+ * Remove a path rule
+ * @param {string} id - Rule id
+ */
+export async function removePathRule(id) {
+  const rules = await getPathRules();
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.PATH_RULES]: rules.filter(r => r.id !== id)
+  });
+}
+
+/**
+ * Get user settings, filled in with defaults
+ * @returns {Promise<Object>} - Settings object
+ */
+export async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.META);
+  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.META] };
+}
+
+/**
+ * Update some user settings
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - The full updated settings
+ */
+export async function updateSettings(changes) {
+  const settings = { ...(await getSettings()), ...changes };
+  await chrome.storage.local.set({ [STORAGE_KEYS.META]: settings });
+  return settings;
+}
+
+/**
+ * Get the running focus session
+ * @returns {Promise<Object|null>} - Focus session state or null if none is running
+ */
+export async function getFocusState() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.FOCUS);
+  return result[STORAGE_KEYS.FOCUS] || null;
+}
+
+/**
+ * Save or clear the running focus session
+ * @param {Object|null} focus - Focus session state, or null to clear it
+ */
+export async function saveFocusState(focus) {
+  if (focus) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.FOCUS]: focus });
+  } else {
+    await chrome.storage.local.remove(STORAGE_KEYS.FOCUS);
+  }
+}
+
+/**
+ * Get the log of finished focus rounds
+ * @returns {Promise<Array<Object>>} - Entries { startedAt, endedAt, plannedMinutes, status }, oldest first
+ */
+export async function getFocusLog() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.FOCUS_LOG);
+  return result[STORAGE_KEYS.FOCUS_LOG] || [];
+}
+
+/**
+ * Add a finished focus round to the log
+ * @param {Object} entry - { startedAt, endedAt, plannedMinutes, status: 'completed'|'abandoned' }
  */
-export async function cleanupOldData() {
+export async function appendFocusLog(entry) {
+  const log = await getFocusLog();
+  log.push(entry);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.FOCUS_LOG]: log.slice(-FOCUS_LOG_MAX_ENTRIES)
+  });
+}
+
+/**
+ * Get the log of limit snoozes
+ * @returns {Promise<Array<Object>>} - Entries { domain, at, until }, oldest first
+ */
+export async function getSnoozes() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SNOOZES);
+  return result[STORAGE_KEYS.SNOOZES] || [];
+}
+
+/**
+ * Record a limit snooze, dropping entries older than the retention period
+ * @param {Object} snooze - { domain, at, until }
+ * @param {number} retentionDays - Days of daily detail to keep
+ */
+export async function addSnooze(snooze, retentionDays = DATA_RETENTION_DAYS) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const snoozes = (await getSnoozes()).filter(entry => entry.at >= cutoff);
+  snoozes.push(snooze);
+  await chrome.storage.local.set({ [STORAGE_KEYS.SNOOZES]: snoozes });
+}
+
+/**
+ * Mark warning thresholds as fired for a limit in the current period
+ * Fired thresholds are forgotten once a new period starts.
+ * @param {string} limitKey - Domain, or group:<id> for limit groups
+ * @param {number} periodStart - Start of the limit's current period in ms
+ * @param {Array<string>} thresholdIds - Thresholds the limit has reached
+ * @returns {Promise<Array<string>>} - Thresholds that had not fired yet this period
+ */
+export async function markWarningsFired(limitKey, periodStart, thresholdIds) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.WARNINGS);
+  const warnings = result[STORAGE_KEYS.WARNINGS] || {};
+
+  const entry = warnings[limitKey]?.periodStart === periodStart
+    ? warnings[limitKey]
+    : { periodStart, fired: [] };
+  const newIds = thresholdIds.filter(id => !entry.fired.includes(id));
+
+  if (newIds.length > 0) {
+    entry.fired.push(...newIds);
+    warnings[limitKey] = entry;
+    await chrome.storage.local.set({ [STORAGE_KEYS.WARNINGS]: warnings });
+  }
+
+  return newIds;
+}
+
+/**
+ * Get the tracking state journaled by the service worker
+ * Lives in session storage, so it survives worker restarts but not a browser restart.
+ * @returns {Promise<Object|null>} - { windows, pendingSessions } or null
+ */
+export async function getTrackingState() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.TRACKING_STATE);
+  return result[STORAGE_KEYS.TRACKING_STATE] || null;
+}
+
+/**
+ * Journal the service worker's tracking state
+ * @param {Object} trackingState - Open window sessions and pending buffers
+ */
+export async function saveTrackingState(trackingState) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.TRACKING_STATE]: trackingState });
+}
+
+/**
+ * Get time tracked in private windows
+ * Lives in session storage and is cleared when the last private window
+ * closes, so it never reaches the saved history.
+ * @returns {Promise<Object>} - Object mapping date keys to domain -> time in ms
+ */
+export async function getIncognitoData() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.INCOGNITO_DATA);
+  return result[STORAGE_KEYS.INCOGNITO_DATA] || {};
+}
+
+/**
+ * Get the sessions recorded in private windows
+ * Kept alongside the per-day totals so scheduled limits can count them.
+ * @returns {Promise<Array>} - Sessions { start, end, domain }
+ */
+export async function getIncognitoSessions() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.INCOGNITO_SESSIONS);
+  return result[STORAGE_KEYS.INCOGNITO_SESSIONS] || [];
+}
+
+/**
+ * Add private window sessions to the per-day totals and session log in session storage
+ * The log only needs to reach back as far as a limit period can, so older
+ * sessions are dropped from it.
+ * @param {Array<Object>} sessions - Sessions { start, end, domain }
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
+ * @param {number} keepSince - Drop logged sessions that ended before this time in ms
+ */
+export async function recordIncognitoSessions(sessions, dayStartHour = 0, keepSince = 0) {
+  const data = await getIncognitoData();
+  const log = (await getIncognitoSessions()).filter(session => session.end > keepSince);
+
+  for (const session of sessions) {
+    if (!session.domain || session.end <= session.start) continue;
+    for (const { start, end } of splitAtDayStart(session.start, session.end, dayStartHour)) {
+      const dateKey = formatDateKey(getDayStart(start, dayStartHour));
+      const day = (data[dateKey] = data[dateKey] || {});
+      day[session.domain] = (day[session.domain] || 0) + end - start;
+    }
+    log.push({ start: session.start, end: session.end, domain: session.domain });
+  }
+
+  await chrome.storage.session.set({
+    [STORAGE_KEYS.INCOGNITO_DATA]: data,
+    [STORAGE_KEYS.INCOGNITO_SESSIONS]: log
+  });
+}
+
+/**
+ * Forget all time tracked in private windows
+ */
+export async function clearIncognitoData() {
+  await chrome.storage.session.remove([STORAGE_KEYS.INCOGNITO_DATA, STORAGE_KEYS.INCOGNITO_SESSIONS]);
+}
+
+/**
+ * Clean up daily detail older than the retention period
+ * Daily totals are first compacted into monthly rollups, so long-term
+ * history survives; session logs and media totals are dropped.
+ * @param {number} retentionDays - Days of daily detail to keep
+ */
+export async function cleanupOldData(retentionDays = DATA_RETENTION_DAYS) {
   const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - DATA_RETENTION_DAYS);
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+  const cutoffKey = formatDateKey(cutoffDate);
 
   const allData = await chrome.storage.local.get(null);
+
+  // Roll up old days by month. A day already listed in its rollup was
+  // compacted before its daily record could be removed; don't add it twice.
+  const rollups = {};
+  for (const [key, data] of Object.entries(allData)) {
+    if (!key.startsWith(STORAGE_KEYS.DAILY_PREFIX)) continue;
+    const dateKey = key.replace(STORAGE_KEYS.DAILY_PREFIX, '');
+    if (dateKey >= cutoffKey) continue;
+
+    const monthKey = `${STORAGE_KEYS.MONTHLY_PREFIX}${dateKey.slice(0, 7)}`;
+    const rollup = rollups[monthKey] || allData[monthKey] || { days: [], data: {} };
+    rollups[monthKey] = rollup;
+    if (rollup.days.includes(dateKey)) continue;
+
+    rollup.days.push(dateKey);
+    for (const [domain, time] of Object.entries(data)) {
+      rollup.data[domain] = (rollup.data[domain] || 0) + time;
+    }
+  }
+
+  if (Object.keys(rollups).length > 0) {
+    await chrome.storage.local.set(rollups);
+  }
+
   const keysToRemove = Object.keys(allData).filter(key => {
-    if (!key.startsWith(STORAGE_KEYS.DAILY_PREFIX)) return false;
-    const dateStr = key.replace(STORAGE_KEYS.DAILY_PREFIX, '');
-    return new Date(dateStr) < cutoffDate;
+    const prefix = [STORAGE_KEYS.DAILY_PREFIX, STORAGE_KEYS.SESSIONS_PREFIX, STORAGE_KEYS.MEDIA_PREFIX]
+      .find(p => key.startsWith(p));
+    if (!prefix) return false;
+    return key.replace(prefix, '') < cutoffKey;
   });
 
   if (keysToRemove.length > 0) {
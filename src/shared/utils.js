@@ -1,4 +1,17 @@
-import { SKIP_PROTOCOLS } from './constants.js';
+import {
+  SKIP_PROTOCOLS,
+  UNCATEGORIZED,
+  PRODUCTIVITY_RATINGS,
+  RATING_WEIGHTS,
+  CATEGORY_RATINGS,
+  DOMAIN_GROUPING,
+  INCOGNITO_TRACKING,
+  ENFORCEMENT_MODES,
+  WARNING_TYPES,
+  PERIOD_ALIGNMENTS,
+  DEFAULT_ALIGNMENT
+} from './constants.js';
+import { PUBLIC_SUFFIXES } from './public-suffix.js';
 
 /**
  * Extract domain from a URL
@@ -16,14 +29,214 @@ export function extractDomain(url) {
   }
 }
 
+/**
+ * Convert a glob pattern to a regular expression
+ * `**` matches anything, `*` matches within one path segment, `?` matches one character.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a URL matches a path rule
+ * Patterns without wildcards are path prefixes matched on segment boundaries,
+ * so /our-org matches /our-org/repo but not /our-org2.
+ * @param {string} url - The URL to check
+ * @param {Object} rule - { domain, pattern, name }
+ * @returns {boolean} - Whether the rule applies
+ */
+export function matchesPathRule(url, rule) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const host = urlObj.hostname;
+  if (host !== rule.domain && !host.endsWith(`.${rule.domain}`)) return false;
+
+  const path = urlObj.pathname;
+  const pattern = rule.pattern.startsWith('/') ? rule.pattern : `/${rule.pattern}`;
+
+  if (/[*?]/.test(pattern)) {
+    return globToRegExp(pattern).test(path);
+  }
+
+  const prefix = pattern.endsWith('/') ? pattern : `${pattern}/`;
+  return path === pattern || path.startsWith(prefix);
+}
+
+/**
+ * Build a regular expression matching full URLs covered by a path rule
+ * Used for declarativeNetRequest rules, so it sticks to RE2-compatible syntax.
+ * @param {Object} rule - { domain, pattern, name }
+ * @returns {string} - Regular expression source
+ */
+export function getPathRuleUrlRegex(rule) {
+  const host = rule.domain.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  const pattern = rule.pattern.startsWith('/') ? rule.pattern : `/${rule.pattern}`;
+
+  let path;
+  if (/[*?]/.test(pattern)) {
+    path = globToRegExp(pattern).source.slice(1, -1);
+  } else {
+    const prefix = pattern.replace(/\/$/, '').replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    path = `${prefix}(/.*)?`;
+  }
+
+  return `^https?://([^/]*\\.)?${host}(:\\d+)?${path}([?#].*)?$`;
+}
+
+/**
+ * Get the key time is tracked under for a URL
+ * This is the hostname, or `domain/name` when a path rule splits the domain
+ * into a named sub-site. The first matching rule wins.
+ * @param {string} url - The URL
+ * @param {Array<Object>} rules - Path rules
+ * @returns {string|null} - Tracking key or null if invalid
+ */
+export function getTrackingKey(url, rules = []) {
+  const domain = extractDomain(url);
+  if (!domain) return null;
+
+  const rule = rules.find(r => matchesPathRule(url, r));
+  return rule ? `${rule.domain}/${rule.name}` : domain;
+}
+
+/**
+ * Get the hostname part of a tracking key
+ * @param {string} key - Tracking key (domain or domain/sub-site)
+ * @returns {string} - The domain
+ */
+export function getKeyDomain(key) {
+  return key ? key.split('/')[0] : key;
+}
+
+/**
+ * Check if a hostname is an IP address
+ * @param {string} host - Hostname
+ * @returns {boolean} - Whether it is an IPv4 or IPv6 address
+ */
+export function isIpAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+/**
+ * Get the registrable domain (eTLD+1) of a hostname
+ * mail.google.com -> google.com, news.bbc.co.uk -> bbc.co.uk
+ * @param {string} host - Hostname
+ * @returns {string} - Registrable domain, or the host itself if it has none
+ */
+export function getRegistrableDomain(host) {
+  if (!host || isIpAddress(host)) return host;
+
+  const labels = host.split('.');
+  if (labels.length < 2) return host;
+
+  // Find the longest public suffix; a bare TLD is the default suffix
+  let suffixLength = 1;
+  for (let i = labels.length - 2; i >= 0; i--) {
+    if (PUBLIC_SUFFIXES.has(labels.slice(i).join('.'))) {
+      suffixLength = labels.length - i;
+    }
+  }
+
+  if (labels.length <= suffixLength) return host;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Normalize a tracking key according to the domain grouping setting
+ * Sub-site keys keep their name: www.example.com/docs -> example.com/docs
+ * @param {string} key - Tracking key
+ * @param {Object} settings - User settings
+ * @returns {string} - Normalized key
+ */
+export function normalizeTrackingKey(key, settings) {
+  if (!key || settings?.domainGrouping !== DOMAIN_GROUPING.REGISTRABLE) return key;
+
+  const host = getKeyDomain(key);
+  if ((settings.keepSeparate || []).includes(host)) return key;
+
+  return getRegistrableDomain(host) + key.slice(host.length);
+}
+
+/**
+ * Merge a domain to time map under normalized keys
+ * Lets stored data be viewed in either grouping mode without rewriting it.
+ * @param {Object} data - Object mapping tracking keys to time in ms
+ * @param {Object} settings - User settings
+ * @returns {Object} - Object mapping normalized keys to time in ms
+ */
+export function normalizeDomainData(data, settings) {
+  if (settings?.domainGrouping !== DOMAIN_GROUPING.REGISTRABLE) return data;
+
+  return Object.entries(data).reduce((acc, [key, time]) => {
+    const normalized = normalizeTrackingKey(key, settings);
+    acc[normalized] = (acc[normalized] || 0) + time;
+    return acc;
+  }, {});
+}
+
+/**
+ * Check if a hostname matches an exclusion pattern
+ * Plain hosts cover their subdomains, so example.com also excludes
+ * mail.example.com. Patterns with wildcards must match the whole host,
+ * e.g. *.corp.internal or 192.168.*.
+ * @param {string} host - Hostname
+ * @param {string} pattern - Host or glob pattern
+ * @returns {boolean} - Whether the pattern matches
+ */
+export function matchesExclusion(host, pattern) {
+  // IPv6 hosts come bracketed from URLs but may be listed either way
+  const target = host.replace(/^\[|\]$/g, '').toLowerCase();
+  const rule = pattern.trim().replace(/^\[|\]$/g, '').toLowerCase();
+  if (!rule) return false;
+
+  if (/[*?]/.test(rule)) {
+    return globToRegExp(rule).test(target);
+  }
+  return target === rule || target.endsWith(`.${rule}`);
+}
+
+/**
+ * Check if a hostname is on the exclusion list
+ * @param {string} host - Hostname
+ * @param {Array<string>} patterns - Excluded hosts and patterns
+ * @returns {boolean} - Whether the host is never tracked
+ */
+export function isExcludedHost(host, patterns = []) {
+  if (!host) return false;
+  return patterns.some(pattern => matchesExclusion(host, pattern));
+}
+
 /**
  * Check if a URL should be tracked
  * @param {string} url - The URL to check
+ * @param {Array<string>} excludedSites - Hosts and patterns never tracked
  * @returns {boolean} - Whether the URL should be tracked
  */
-export function shouldTrackUrl(url) {
+export function shouldTrackUrl(url, excludedSites = []) {
   if (!url) return false;
-  return !SKIP_PROTOCOLS.some(protocol => url.startsWith(protocol));
+  if (SKIP_PROTOCOLS.some(protocol => url.startsWith(protocol))) return false;
+  return !isExcludedHost(extractDomain(url), excludedSites);
 }
 
 /**
@@ -71,30 +284,69 @@ export function formatDateKey(date) {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Get the start of the tracking day containing a time
+ * Days start at `dayStartHour`, so with a 4:00 start 01:30 still belongs
+ * to the previous day.
+ * @param {Date|number} time - Reference time
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
+ * @returns {Date} - Start of the day
+ */
+export function getDayStart(time, dayStartHour = 0) {
+  const start = new Date(time);
+  if (start.getHours() < dayStartHour) {
+    start.setDate(start.getDate() - 1);
+  }
+  start.setHours(dayStartHour, 0, 0, 0);
+  return start;
+}
+
 /**
  * Get today's date key
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
  * @returns {string} - Today's date as YYYY-MM-DD
  */
-export function getTodayKey() {
-  return formatDateKey(new Date());
+export function getTodayKey(dayStartHour = 0) {
+  return formatDateKey(getDayStart(Date.now(), dayStartHour));
+}
+
+/**
+ * Split a time span where tracking days start
+ * @param {number} start - Span start in ms
+ * @param {number} end - Span end in ms
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
+ * @returns {Array<{start: number, end: number}>} - One piece per day the span touches
+ */
+export function splitAtDayStart(start, end, dayStartHour = 0) {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (pieceStart < end) {
+    const nextDay = getDayStart(pieceStart, dayStartHour);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const pieceEnd = Math.min(end, nextDay.getTime());
+    pieces.push({ start: pieceStart, end: pieceEnd });
+    pieceStart = pieceEnd;
+  }
+
+  return pieces;
 }
 
 /**
- * Get the start of a week (Monday)
+ * Get the start of a week
  * @param {Date} date - Reference date
+ * @param {number} weekStartDay - First day of the week (0 = Sunday, 1 = Monday)
  * @returns {Date} - Start of the week
  */
-export function getWeekStart(date) {
+export function getWeekStart(date, weekStartDay = 1) {
   const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Monday
-  d.setDate(diff);
+  d.setDate(d.getDate() - ((d.getDay() - weekStartDay + 7) % 7));
   d.setHours(0, 0, 0, 0);
   return d;
 }
 
 /**
- * Get the end of a week (Sunday)
+ * Get the end of a week (the day before the next week start)
  * @param {Date} weekStart - Start of the week
  * @returns {Date} - End of the week
  */
@@ -146,3 +398,298 @@ export function getLastNDaysKeys(days) {
 
   return keys;
 }
+
+/**
+ * Resolve the category for a domain
+ * Walks up parent domains so mail.google.com matches an entry for google.com.
+ * Sub-sites fall back to their domain's category unless assigned directly.
+ * @param {string} domain - The domain or tracking key
+ * @param {Object} categories - Object mapping domains to category names
+ * @returns {string} - Category name
+ */
+export function getCategoryForDomain(domain, categories) {
+  if (!domain) return UNCATEGORIZED;
+  if (categories[domain]) return categories[domain];
+
+  const parts = getKeyDomain(domain).split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (categories[candidate]) return categories[candidate];
+  }
+
+  return UNCATEGORIZED;
+}
+
+/**
+ * Sum time per category
+ * @param {Object} data - Object mapping domains to time in ms
+ * @param {Object} categories - Object mapping domains to category names
+ * @returns {Object} - Object mapping category names to time in ms
+ */
+export function aggregateCategories(data, categories) {
+  return Object.entries(data).reduce((acc, [domain, time]) => {
+    const category = getCategoryForDomain(domain, categories);
+    acc[category] = (acc[category] || 0) + time;
+    return acc;
+  }, {});
+}
+
+/**
+ * Resolve the productivity rating for a domain
+ * Ratings are inherited from parent domains like categories are; sites
+ * nobody rated get the built-in rating of their category.
+ * @param {string} domain - The domain or tracking key
+ * @param {Object} ratings - Object mapping domains to ratings
+ * @param {Object} categories - Object mapping domains to category names
+ * @returns {string} - One of PRODUCTIVITY_RATINGS
+ */
+export function getRatingForDomain(domain, ratings, categories) {
+  if (!domain) return PRODUCTIVITY_RATINGS.NEUTRAL;
+  if (ratings[domain]) return ratings[domain];
+
+  const parts = getKeyDomain(domain).split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (ratings[candidate]) return ratings[candidate];
+  }
+
+  return CATEGORY_RATINGS[getCategoryForDomain(domain, categories)] || PRODUCTIVITY_RATINGS.NEUTRAL;
+}
+
+/**
+ * Compute a focus score from time per domain
+ * Time is weighted by rating (see RATING_WEIGHTS): 100 means every minute
+ * went to productive sites, 0 that every minute went to distracting ones.
+ * @param {Object} data - Object mapping domains to time in ms
+ * @param {Object} ratings - Object mapping domains to ratings
+ * @param {Object} categories - Object mapping domains to category names
+ * @returns {number|null} - Score from 0 to 100, or null without any time
+ */
+export function computeFocusScore(data, ratings, categories) {
+  let total = 0;
+  let focused = 0;
+  for (const [domain, time] of Object.entries(data)) {
+    const weight = RATING_WEIGHTS[getRatingForDomain(domain, ratings, categories)];
+    total += time;
+    focused += time * (weight ?? RATING_WEIGHTS[PRODUCTIVITY_RATINGS.NEUTRAL]);
+  }
+  return total > 0 ? Math.round((focused / total) * 100) : null;
+}
+
+/**
+ * Parse an HH:MM clock time into minutes after midnight
+ * @param {string} clock - Time such as '09:30'
+ * @returns {number} - Minutes after midnight
+ */
+export function parseClock(clock) {
+  const [hours, minutes] = String(clock).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Check that a schedule is a list of well-formed windows
+ * @param {*} schedule - Value to check
+ * @returns {boolean} - Whether it is a valid schedule
+ */
+export function isValidSchedule(schedule) {
+  const clockPattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  return Array.isArray(schedule) && schedule.every(slot =>
+    Array.isArray(slot?.days) &&
+    slot.days.length > 0 &&
+    slot.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+    clockPattern.test(slot.start) &&
+    clockPattern.test(slot.end)
+  );
+}
+
+/**
+ * Check a user setting's value before it is saved
+ * Settings feed the date maths and timers directly, so numbers must be in
+ * range and choices one of their constants. Unknown settings are accepted.
+ * @param {string} key - Setting name, a DEFAULT_SETTINGS key
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value can be saved
+ */
+export function isValidSetting(key, value) {
+  const isIntegerIn = (min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+  const isStringList = () => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  switch (key) {
+    case 'domainGrouping': return Object.values(DOMAIN_GROUPING).includes(value);
+    case 'incognitoTracking': return Object.values(INCOGNITO_TRACKING).includes(value);
+    case 'focusEnforcement': return Object.values(ENFORCEMENT_MODES).includes(value);
+    case 'enforceLimitsInIncognito': return typeof value === 'boolean';
+    case 'keepSeparate':
+    case 'excludedSites':
+    case 'focusBlockList':
+      return isStringList();
+    case 'focusBreakMinutes':
+    case 'snoozesPerPeriod':
+      return isIntegerIn(0);
+    case 'snoozeMinutes': return isIntegerIn(1);
+    case 'weekStartDay': return isIntegerIn(0, 6);
+    case 'dayStartHour': return isIntegerIn(0, 23);
+    case 'dailyRetentionDays': return isIntegerIn(1);
+    case 'idleDetectionSeconds': return isIntegerIn(15);
+    case 'inactivityTimeoutSeconds':
+    case 'activityThrottleMs':
+    case 'statusCheckSeconds':
+      return isIntegerIn(1);
+    case 'warningThresholds':
+      return Array.isArray(value) && value.every(threshold =>
+        Object.values(WARNING_TYPES).includes(threshold?.type) &&
+        Number.isInteger(threshold.value) &&
+        threshold.value > 0 &&
+        (threshold.type !== WARNING_TYPES.PERCENT || threshold.value < 100)
+      );
+    default: return true;
+  }
+}
+
+/**
+ * Check if a moment falls inside any schedule window
+ * Windows are { days: [0-6], start: 'HH:MM', end: 'HH:MM' } with 0 = Sunday.
+ * A window whose end is before its start runs overnight into the next day.
+ * @param {number|Date} time - Moment to check
+ * @param {Array<Object>} schedule - Schedule windows
+ * @returns {boolean} - Whether the moment is inside a window
+ */
+export function isWithinSchedule(time, schedule) {
+  if (!schedule || schedule.length === 0) return true;
+
+  const date = new Date(time);
+  const timestamp = date.getTime();
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+
+  // Check windows starting today or yesterday (overnight)
+  const from = new Date(dayStart);
+  from.setDate(from.getDate() - 1);
+  return getScheduleIntervals(from, timestamp + 1, schedule)
+    .some(([start, end]) => timestamp >= start && timestamp < end);
+}
+
+/**
+ * Get the absolute time intervals covered by a schedule within a range
+ * @param {number|Date} rangeStart - Range start
+ * @param {number|Date} rangeEnd - Range end
+ * @param {Array<Object>} schedule - Schedule windows
+ * @returns {Array<Array<number>>} - Sorted, merged [start, end] pairs in ms
+ */
+export function getScheduleIntervals(rangeStart, rangeEnd, schedule) {
+  const startMs = new Date(rangeStart).getTime();
+  const endMs = new Date(rangeEnd).getTime();
+  const intervals = [];
+
+  // Start a day early to catch overnight windows running into the range
+  const day = new Date(startMs);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+
+  while (day.getTime() < endMs) {
+    for (const slot of schedule) {
+      if (!slot.days.includes(day.getDay())) continue;
+
+      const startMinutes = parseClock(slot.start);
+      let endMinutes = parseClock(slot.end);
+      if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+      const windowStart = new Date(day);
+      windowStart.setMinutes(startMinutes);
+      const windowEnd = new Date(day);
+      windowEnd.setMinutes(endMinutes);
+
+      const start = Math.max(windowStart.getTime(), startMs);
+      const end = Math.min(windowEnd.getTime(), endMs);
+      if (end > start) intervals.push([start, end]);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  return intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Get how much of a time span falls inside a schedule
+ * @param {number} start - Span start in ms
+ * @param {number} end - Span end in ms
+ * @param {Array<Object>} schedule - Schedule windows
+ * @returns {number} - Milliseconds inside the schedule
+ */
+export function getScheduledDuration(start, end, schedule) {
+  if (end <= start) return 0;
+  if (!schedule || schedule.length === 0) return end - start;
+
+  return getScheduleIntervals(start, end, schedule)
+    .reduce((sum, [from, to]) => sum + (to - from), 0);
+}
+
+/**
+ * Get the end of the schedule window that contains a moment
+ * @param {number} time - Moment inside a window
+ * @param {Array<Object>} schedule - Schedule windows
+ * @returns {number|null} - Window end in ms, or null if outside every window
+ */
+export function getScheduleWindowEnd(time, schedule) {
+  if (!schedule || schedule.length === 0) return null;
+
+  // Windows are at most a day long, but merged ones can chain across days
+  const intervals = getScheduleIntervals(time - 24 * 60 * 60 * 1000, time + 8 * 24 * 60 * 60 * 1000, schedule);
+  const current = intervals.find(([start, end]) => time >= start && time < end);
+  return current ? current[1] : null;
+}
+
+/**
+ * Get when a limit period next resets
+ * Rolling periods move forward when the next day starts and the oldest day
+ * drops out; calendar periods reset when the next week or month starts.
+ * @param {string} period - 'day', 'week', or 'month'
+ * @param {number} now - Current time in ms
+ * @param {string} alignment - One of PERIOD_ALIGNMENTS
+ * @param {number} weekStartDay - First day of calendar weeks
+ * @param {number} dayStartHour - Hour days start at (0 = midnight)
+ * @returns {number} - Reset time in ms
+ */
+export function getPeriodResetTime(period, now = Date.now(), alignment = DEFAULT_ALIGNMENT, weekStartDay = 1, dayStartHour = 0) {
+  const today = getDayStart(now, dayStartHour);
+
+  if (alignment === PERIOD_ALIGNMENTS.CALENDAR && period === 'week') {
+    const reset = getWeekStart(today, weekStartDay);
+    reset.setDate(reset.getDate() + 7);
+    reset.setHours(dayStartHour);
+    return reset.getTime();
+  }
+
+  if (alignment === PERIOD_ALIGNMENTS.CALENDAR && period === 'month') {
+    return new Date(today.getFullYear(), today.getMonth() + 1, 1, dayStartHour).getTime();
+  }
+
+  today.setDate(today.getDate() + 1);
+  return today.getTime();
+}
+
+/**
+ * Check if a limit has reached a warning threshold
+ * @param {Object} threshold - { type: WARNING_TYPES value, value: percent or minutes }
+ * @param {Object} status - Limit status with limit, periodTime and remainingTime
+ * @returns {boolean}
+ */
+export function isWarningThresholdReached(threshold, status) {
+  if (threshold.type === WARNING_TYPES.PERCENT) {
+    return status.periodTime >= status.limit * threshold.value / 100;
+  }
+  if (threshold.type === WARNING_TYPES.REMAINING) {
+    return status.remainingTime <= threshold.value * 60000;
+  }
+  return false;
+}